@@ -24,6 +24,8 @@ export default [
         process: 'readonly',
         __dirname: 'readonly',
         __filename: 'readonly',
+        Buffer: 'readonly',
+        AbortController: 'readonly',
       },
     },
 
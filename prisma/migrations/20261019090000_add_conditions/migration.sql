@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "Condition" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "value" TEXT NOT NULL,
+    "priceMultiplier" REAL NOT NULL DEFAULT 1,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Condition_value_key" ON "Condition"("value");
+
+-- Seed buyback conditions (mirrors the frontend fallback list)
+INSERT INTO "Condition" ("id", "name", "description", "value", "priceMultiplier", "sortOrder") VALUES
+    (1, 'Wie neu', 'Gerät sieht aus wie neu', 'like-new', 1.0, 1),
+    (2, 'Sehr gut', 'Minimale Gebrauchsspuren', 'very-good', 0.9, 2),
+    (3, 'Gut', 'Normale Gebrauchsspuren', 'good', 0.8, 3),
+    (4, 'Akzeptabel', 'Deutliche Gebrauchsspuren', 'acceptable', 0.65, 4),
+    (5, 'Defekt', 'Gerät ist beschädigt', 'defective', 0.3, 5);
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "BuybackPrice" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "deviceId" INTEGER NOT NULL,
+    "conditionId" INTEGER NOT NULL,
+    "price" INTEGER NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "BuybackPrice_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "BuybackPrice_conditionId_fkey" FOREIGN KEY ("conditionId") REFERENCES "Condition" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BuybackPrice_deviceId_conditionId_key" ON "BuybackPrice"("deviceId", "conditionId");
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "Appointment" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "startsAt" DATETIME NOT NULL,
+    "durationMinutes" INTEGER NOT NULL DEFAULT 30,
+    "deviceId" INTEGER,
+    "actionId" INTEGER,
+    "quotedPrice" INTEGER,
+    "customerName" TEXT NOT NULL,
+    "customerEmail" TEXT NOT NULL,
+    "customerPhone" TEXT,
+    "notes" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'booked',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Appointment_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Appointment_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "Action" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Appointment_startsAt_idx" ON "Appointment"("startsAt");
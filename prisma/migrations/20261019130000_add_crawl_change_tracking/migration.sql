@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "CrawlRun" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME,
+    "newDevices" INTEGER NOT NULL DEFAULT 0,
+    "newActions" INTEGER NOT NULL DEFAULT 0,
+    "removedActions" INTEGER NOT NULL DEFAULT 0,
+    "priceIncreases" INTEGER NOT NULL DEFAULT 0,
+    "priceDecreases" INTEGER NOT NULL DEFAULT 0,
+    "unchanged" INTEGER NOT NULL DEFAULT 0
+);
+
+-- CreateTable
+CREATE TABLE "PriceChange" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "crawlRunId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "deviceId" INTEGER NOT NULL,
+    "actionId" INTEGER,
+    "oldPrice" INTEGER,
+    "newPrice" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PriceChange_crawlRunId_fkey" FOREIGN KEY ("crawlRunId") REFERENCES "CrawlRun" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "PriceChange_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "PriceChange_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "Action" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "PriceChange_crawlRunId_type_idx" ON "PriceChange"("crawlRunId", "type");
+
+-- CreateIndex
+CREATE INDEX "Price_actionId_dateCollected_idx" ON "Price"("actionId", "dateCollected");
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "CrawlRun" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'running';
+ALTER TABLE "CrawlRun" ADD COLUMN "error" TEXT;
+ALTER TABLE "CrawlRun" ADD COLUMN "manufacturers" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "CrawlRun" ADD COLUMN "devices" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "CrawlRun" ADD COLUMN "actions" INTEGER NOT NULL DEFAULT 0;
+
+-- Runs recorded before status tracking finished or were interrupted
+UPDATE "CrawlRun" SET "status" = CASE WHEN "finishedAt" IS NULL THEN 'failed' ELSE 'completed' END;
+
+-- CreateIndex
+CREATE INDEX "CrawlRun_startedAt_idx" ON "CrawlRun"("startedAt");
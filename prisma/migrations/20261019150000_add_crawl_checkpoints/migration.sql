@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "CrawlRun" ADD COLUMN "manufacturerFilter" TEXT;
+ALTER TABLE "CrawlRun" ADD COLUMN "deviceFilter" TEXT;
+ALTER TABLE "CrawlRun" ADD COLUMN "resumedAt" DATETIME;
+ALTER TABLE "CrawlRun" ADD COLUMN "resumeCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "CrawlCheckpoint" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "crawlRunId" INTEGER NOT NULL,
+    "manufacturer" TEXT NOT NULL,
+    "device" TEXT NOT NULL,
+    "completedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "CrawlCheckpoint_crawlRunId_fkey" FOREIGN KEY ("crawlRunId") REFERENCES "CrawlRun" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CrawlCheckpoint_crawlRunId_manufacturer_device_key" ON "CrawlCheckpoint"("crawlRunId", "manufacturer", "device");
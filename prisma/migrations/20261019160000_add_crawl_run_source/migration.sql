@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CrawlRun" ADD COLUMN "source" TEXT NOT NULL DEFAULT 'smartphonereparatur-muenchen';
@@ -0,0 +1,31 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_CrawlRun" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "error" TEXT,
+    "manufacturers" INTEGER NOT NULL DEFAULT 0,
+    "devices" INTEGER NOT NULL DEFAULT 0,
+    "actions" INTEGER NOT NULL DEFAULT 0,
+    "newDevices" INTEGER NOT NULL DEFAULT 0,
+    "newActions" INTEGER NOT NULL DEFAULT 0,
+    "removedActions" INTEGER NOT NULL DEFAULT 0,
+    "priceIncreases" INTEGER NOT NULL DEFAULT 0,
+    "priceDecreases" INTEGER NOT NULL DEFAULT 0,
+    "unchanged" INTEGER NOT NULL DEFAULT 0,
+    "manufacturerFilter" TEXT,
+    "deviceFilter" TEXT,
+    "resumedAt" DATETIME,
+    "resumeCount" INTEGER NOT NULL DEFAULT 0,
+    "source" TEXT NOT NULL DEFAULT 'smartphonereparatur-muenchen'
+);
+INSERT INTO "new_CrawlRun" ("id", "startedAt", "finishedAt", "updatedAt", "status", "error", "manufacturers", "devices", "actions", "newDevices", "newActions", "removedActions", "priceIncreases", "priceDecreases", "unchanged", "manufacturerFilter", "deviceFilter", "resumedAt", "resumeCount", "source") SELECT "id", "startedAt", "finishedAt", COALESCE("finishedAt", "startedAt"), "status", "error", "manufacturers", "devices", "actions", "newDevices", "newActions", "removedActions", "priceIncreases", "priceDecreases", "unchanged", "manufacturerFilter", "deviceFilter", "resumedAt", "resumeCount", "source" FROM "CrawlRun";
+DROP TABLE "CrawlRun";
+ALTER TABLE "new_CrawlRun" RENAME TO "CrawlRun";
+CREATE INDEX "CrawlRun_startedAt_idx" ON "CrawlRun"("startedAt");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
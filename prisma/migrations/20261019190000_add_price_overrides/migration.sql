@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "PriceOverride" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "actionId" INTEGER NOT NULL,
+    "price" INTEGER NOT NULL,
+    "validFrom" DATETIME,
+    "validUntil" DATETIME,
+    "note" TEXT,
+    "createdById" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "PriceOverride_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "Action" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "PriceOverride_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "PriceOverride_actionId_validFrom_idx" ON "PriceOverride"("actionId", "validFrom");
@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE "RepairCategory" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "slug" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "icon" TEXT,
+    "keywords" TEXT NOT NULL DEFAULT '',
+    "sortOrder" INTEGER NOT NULL DEFAULT 0
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RepairCategory_slug_key" ON "RepairCategory"("slug");
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Action" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "deviceId" INTEGER NOT NULL,
+    "categoryId" INTEGER,
+    CONSTRAINT "Action_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Action_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "RepairCategory" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Action" ("deviceId", "id", "name") SELECT "deviceId", "id", "name" FROM "Action";
+DROP TABLE "Action";
+ALTER TABLE "new_Action" RENAME TO "Action";
+CREATE INDEX "Action_name_deviceId_idx" ON "Action"("name", "deviceId");
+CREATE INDEX "Action_categoryId_idx" ON "Action"("categoryId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Seed categories (slugs match the frontend fallback actions)
+INSERT INTO "RepairCategory" ("id", "slug", "name", "icon", "keywords", "sortOrder") VALUES
+    (1, 'display', 'Display', '📱', 'display,bildschirm,touchscreen,screen,lcd,oled', 1),
+    (2, 'battery', 'Akku', '🔋', 'akku,batterie,battery', 2),
+    (3, 'back-glass', 'Rückseite', '🔲', 'backcover,back cover,backglass,ruckseite,ruckglas,gehause,rahmen', 3),
+    (4, 'charging', 'Ladebuchse', '🔌', 'ladebuchse,ladeanschluss,ladeport,lightning,usb,dock,charging', 4),
+    (5, 'camera', 'Kamera', '📷', 'kamera,camera,linse,objektiv', 5),
+    (6, 'speaker', 'Lautsprecher & Mikrofon', '🔊', 'lautsprecher,horer,hormuschel,mikrofon,speaker', 6),
+    (7, 'buttons', 'Tasten', '🔘', 'taste,button,schalter,face id,touch id', 7),
+    (8, 'water-damage', 'Wasserschaden', '💧', 'wasser,feuchtigkeit,water', 8),
+    (9, 'software', 'Software & Daten', '💾', 'software,daten,backup,update,entsperr', 9),
+    (10, 'other', 'Sonstiges', '🔧', '', 99);
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "CurrentPrice" (
+    "actionId" INTEGER NOT NULL PRIMARY KEY,
+    "priceId" INTEGER NOT NULL,
+    "price" INTEGER,
+    "dateCollected" DATETIME NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "CurrentPrice_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "Action" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "CurrentPrice_dateCollected_idx" ON "CurrentPrice"("dateCollected");
+
+-- Backfill from the price history (latest row per action)
+INSERT INTO "CurrentPrice" ("actionId", "priceId", "price", "dateCollected", "updatedAt")
+SELECT p."actionId", p."id", p."price", p."dateCollected", CURRENT_TIMESTAMP
+FROM "Action" a
+JOIN "Price" p ON p."id" = (
+    SELECT p2."id" FROM "Price" p2
+    WHERE p2."actionId" = a."id"
+    ORDER BY p2."dateCollected" DESC, p2."id" DESC
+    LIMIT 1
+);
@@ -0,0 +1,83 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Price" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "actionId" INTEGER NOT NULL,
+    "priceCents" INTEGER,
+    "maxPriceCents" INTEGER,
+    "priceType" TEXT NOT NULL DEFAULT 'exact',
+    "priceText" TEXT,
+    "dateCollected" DATETIME NOT NULL,
+    CONSTRAINT "Price_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "Action" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+-- Whole euros → cents; missing prices were unparseable texts ("auf Anfrage")
+INSERT INTO "new_Price" ("actionId", "dateCollected", "id", "priceCents", "priceType")
+SELECT "actionId", "dateCollected", "id", "price" * 100,
+    CASE WHEN "price" IS NULL THEN 'on-request' ELSE 'exact' END
+FROM "Price";
+DROP TABLE "Price";
+ALTER TABLE "new_Price" RENAME TO "Price";
+CREATE INDEX "Price_actionId_dateCollected_idx" ON "Price"("actionId", "dateCollected");
+CREATE TABLE "new_CurrentPrice" (
+    "actionId" INTEGER NOT NULL PRIMARY KEY,
+    "priceId" INTEGER NOT NULL,
+    "priceCents" INTEGER,
+    "maxPriceCents" INTEGER,
+    "priceType" TEXT NOT NULL DEFAULT 'exact',
+    "priceText" TEXT,
+    "dateCollected" DATETIME NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "CurrentPrice_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "Action" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_CurrentPrice" ("actionId", "dateCollected", "priceCents", "priceId", "priceType", "updatedAt")
+SELECT "actionId", "dateCollected", "price" * 100, "priceId",
+    CASE WHEN "price" IS NULL THEN 'on-request' ELSE 'exact' END, "updatedAt"
+FROM "CurrentPrice";
+DROP TABLE "CurrentPrice";
+ALTER TABLE "new_CurrentPrice" RENAME TO "CurrentPrice";
+CREATE INDEX "CurrentPrice_dateCollected_idx" ON "CurrentPrice"("dateCollected");
+CREATE TABLE "new_PriceChange" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "crawlRunId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "deviceId" INTEGER NOT NULL,
+    "actionId" INTEGER,
+    "oldPriceCents" INTEGER,
+    "newPriceCents" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PriceChange_crawlRunId_fkey" FOREIGN KEY ("crawlRunId") REFERENCES "CrawlRun" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "PriceChange_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "PriceChange_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "Action" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_PriceChange" ("actionId", "crawlRunId", "createdAt", "deviceId", "id", "newPriceCents", "oldPriceCents", "type")
+SELECT "actionId", "crawlRunId", "createdAt", "deviceId", "id", "newPrice" * 100, "oldPrice" * 100, "type"
+FROM "PriceChange";
+DROP TABLE "PriceChange";
+ALTER TABLE "new_PriceChange" RENAME TO "PriceChange";
+CREATE INDEX "PriceChange_crawlRunId_type_idx" ON "PriceChange"("crawlRunId", "type");
+CREATE TABLE "new_Appointment" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "startsAt" DATETIME NOT NULL,
+    "durationMinutes" INTEGER NOT NULL DEFAULT 30,
+    "deviceId" INTEGER,
+    "actionId" INTEGER,
+    "quotedPriceCents" INTEGER,
+    "customerName" TEXT NOT NULL,
+    "customerEmail" TEXT NOT NULL,
+    "customerPhone" TEXT,
+    "notes" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'booked',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Appointment_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Appointment_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "Action" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Appointment" ("actionId", "createdAt", "customerEmail", "customerName", "customerPhone", "deviceId", "durationMinutes", "id", "notes", "quotedPriceCents", "startsAt", "status", "updatedAt")
+SELECT "actionId", "createdAt", "customerEmail", "customerName", "customerPhone", "deviceId", "durationMinutes", "id", "notes", "quotedPrice" * 100, "startsAt", "status", "updatedAt"
+FROM "Appointment";
+DROP TABLE "Appointment";
+ALTER TABLE "new_Appointment" RENAME TO "Appointment";
+CREATE INDEX "Appointment_startsAt_idx" ON "Appointment"("startsAt");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "CrawlRun" ADD COLUMN "quarantined" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "QuarantinedPrice" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "actionId" INTEGER NOT NULL,
+    "crawlRunId" INTEGER,
+    "priceCents" INTEGER,
+    "maxPriceCents" INTEGER,
+    "priceType" TEXT NOT NULL DEFAULT 'exact',
+    "priceText" TEXT,
+    "previousPriceCents" INTEGER,
+    "reason" TEXT NOT NULL,
+    "detail" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "dateCollected" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "reviewedById" INTEGER,
+    "reviewedAt" DATETIME,
+    CONSTRAINT "QuarantinedPrice_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "Action" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "QuarantinedPrice_crawlRunId_fkey" FOREIGN KEY ("crawlRunId") REFERENCES "CrawlRun" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "QuarantinedPrice_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "QuarantinedPrice_status_dateCollected_idx" ON "QuarantinedPrice"("status", "dateCollected");
+
+-- CreateIndex
+CREATE INDEX "QuarantinedPrice_actionId_status_idx" ON "QuarantinedPrice"("actionId", "status");
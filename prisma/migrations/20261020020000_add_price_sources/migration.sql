@@ -0,0 +1,73 @@
+-- CreateTable
+CREATE TABLE "PriceSource" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "key" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "url" TEXT,
+    "kind" TEXT NOT NULL DEFAULT 'competitor',
+    "primary" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Existing history was all crawled from the default source - it stays primary
+INSERT INTO "PriceSource" ("key", "name", "url", "primary")
+SELECT 'smartphonereparatur-muenchen', 'Smartphonereparatur München', 'https://www.smartphonereparatur-muenchen.de/', true
+WHERE EXISTS (SELECT 1 FROM "Price");
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Price" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "actionId" INTEGER NOT NULL,
+    "sourceId" INTEGER NOT NULL,
+    "priceCents" INTEGER,
+    "maxPriceCents" INTEGER,
+    "priceType" TEXT NOT NULL DEFAULT 'exact',
+    "priceText" TEXT,
+    "dateCollected" DATETIME NOT NULL,
+    CONSTRAINT "Price_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "Action" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Price_sourceId_fkey" FOREIGN KEY ("sourceId") REFERENCES "PriceSource" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_Price" ("actionId", "dateCollected", "id", "maxPriceCents", "priceCents", "priceText", "priceType", "sourceId")
+SELECT "actionId", "dateCollected", "id", "maxPriceCents", "priceCents", "priceText", "priceType",
+    (SELECT "id" FROM "PriceSource" WHERE "key" = 'smartphonereparatur-muenchen')
+FROM "Price";
+DROP TABLE "Price";
+ALTER TABLE "new_Price" RENAME TO "Price";
+CREATE INDEX "Price_actionId_dateCollected_idx" ON "Price"("actionId", "dateCollected");
+CREATE INDEX "Price_actionId_sourceId_dateCollected_idx" ON "Price"("actionId", "sourceId", "dateCollected");
+CREATE TABLE "new_QuarantinedPrice" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "actionId" INTEGER NOT NULL,
+    "crawlRunId" INTEGER,
+    "sourceId" INTEGER,
+    "priceCents" INTEGER,
+    "maxPriceCents" INTEGER,
+    "priceType" TEXT NOT NULL DEFAULT 'exact',
+    "priceText" TEXT,
+    "previousPriceCents" INTEGER,
+    "reason" TEXT NOT NULL,
+    "detail" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "dateCollected" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "reviewedById" INTEGER,
+    "reviewedAt" DATETIME,
+    CONSTRAINT "QuarantinedPrice_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "Action" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "QuarantinedPrice_crawlRunId_fkey" FOREIGN KEY ("crawlRunId") REFERENCES "CrawlRun" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "QuarantinedPrice_sourceId_fkey" FOREIGN KEY ("sourceId") REFERENCES "PriceSource" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "QuarantinedPrice_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_QuarantinedPrice" ("actionId", "crawlRunId", "dateCollected", "detail", "id", "maxPriceCents", "previousPriceCents", "priceCents", "priceText", "priceType", "reason", "reviewedAt", "reviewedById", "sourceId", "status")
+SELECT "actionId", "crawlRunId", "dateCollected", "detail", "id", "maxPriceCents", "previousPriceCents", "priceCents", "priceText", "priceType", "reason", "reviewedAt", "reviewedById",
+    (SELECT "id" FROM "PriceSource" WHERE "key" = 'smartphonereparatur-muenchen'), "status"
+FROM "QuarantinedPrice";
+DROP TABLE "QuarantinedPrice";
+ALTER TABLE "new_QuarantinedPrice" RENAME TO "QuarantinedPrice";
+CREATE INDEX "QuarantinedPrice_status_dateCollected_idx" ON "QuarantinedPrice"("status", "dateCollected");
+CREATE INDEX "QuarantinedPrice_actionId_status_idx" ON "QuarantinedPrice"("actionId", "status");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PriceSource_key_key" ON "PriceSource"("key");
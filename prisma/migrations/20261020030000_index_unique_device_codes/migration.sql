@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "UniqueDevice_ean_idx" ON "UniqueDevice"("ean");
+
+-- CreateIndex
+CREATE INDEX "UniqueDevice_herstellerArtikelNummer_idx" ON "UniqueDevice"("herstellerArtikelNummer");
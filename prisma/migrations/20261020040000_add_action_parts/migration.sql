@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "Action" ADD COLUMN "labourMinutes" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ActionPart" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "actionId" INTEGER NOT NULL,
+    "uniqueDeviceId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    CONSTRAINT "ActionPart_actionId_fkey" FOREIGN KEY ("actionId") REFERENCES "Action" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "ActionPart_uniqueDeviceId_fkey" FOREIGN KEY ("uniqueDeviceId") REFERENCES "UniqueDevice" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ActionPart_uniqueDeviceId_idx" ON "ActionPart"("uniqueDeviceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ActionPart_actionId_uniqueDeviceId_key" ON "ActionPart"("actionId", "uniqueDeviceId");
@@ -0,0 +1,33 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_PricingRule" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "manufacturerId" INTEGER,
+    "categoryId" INTEGER,
+    "deviceId" INTEGER,
+    "markupPercent" REAL NOT NULL DEFAULT 0,
+    "markupCents" INTEGER NOT NULL DEFAULT 0,
+    "roundToNine" BOOLEAN NOT NULL DEFAULT false,
+    "floorCents" INTEGER,
+    "ceilingCents" INTEGER,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "validFrom" DATETIME,
+    "validUntil" DATETIME,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "note" TEXT,
+    "createdById" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "PricingRule_manufacturerId_fkey" FOREIGN KEY ("manufacturerId") REFERENCES "Manufacturer" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "PricingRule_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "RepairCategory" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "PricingRule_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "PricingRule_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_PricingRule" ("active", "categoryId", "ceilingCents", "createdAt", "createdById", "deviceId", "floorCents", "id", "manufacturerId", "markupCents", "markupPercent", "name", "note", "priority", "roundToNine", "updatedAt", "validFrom", "validUntil") SELECT "active", "categoryId", "ceilingCents", "createdAt", "createdById", "deviceId", "floorCents", "id", "manufacturerId", "markupCents", "markupPercent", "name", "note", "priority", "roundToNine", "updatedAt", "validFrom", "validUntil" FROM "PricingRule";
+DROP TABLE "PricingRule";
+ALTER TABLE "new_PricingRule" RENAME TO "PricingRule";
+CREATE INDEX "PricingRule_active_idx" ON "PricingRule"("active");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,10 @@
+-- The shop's own calculator is always the primary source - also on fresh
+-- databases, so a first crawl from another source can't become primary
+INSERT INTO "PriceSource" ("key", "name", "url", "primary")
+SELECT 'smartphonereparatur-muenchen', 'Smartphonereparatur München', 'https://www.smartphonereparatur-muenchen.de/',
+    NOT EXISTS (SELECT 1 FROM "PriceSource" WHERE "primary" = true)
+WHERE NOT EXISTS (SELECT 1 FROM "PriceSource" WHERE "key" = 'smartphonereparatur-muenchen');
+
+UPDATE "PriceSource" SET "primary" = true
+WHERE "key" = 'smartphonereparatur-muenchen'
+    AND NOT EXISTS (SELECT 1 FROM "PriceSource" WHERE "primary" = true);
@@ -0,0 +1,28 @@
+// scripts/assign-categories.js - Map actions onto repair categories by keyword
+// Usage:
+//   npm run categories:assign            (only actions without a category)
+//   npm run categories:assign -- --all   (re-check every action)
+import { parseArgs } from 'util';
+import { PrismaClient } from '@prisma/client';
+import { assignCategories } from '../src/services/repairCategories.js';
+
+const { values } = parseArgs({
+  options: {
+    all: { type: 'boolean', short: 'a', default: false },
+  },
+});
+
+const prisma = new PrismaClient();
+
+try {
+  const result = await assignCategories(prisma, values);
+  console.log(
+    `✅ ${result.updated} of ${result.checked} actions categorized`,
+    result.byCategory
+  );
+} catch (error) {
+  console.error('❌ Failed to assign categories:', error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,200 @@
+// scripts/benchmark-prices.js - Latest-price lookups: history scan vs CurrentPrice projection
+// Usage:
+//   npm run bench:prices                               (2M history rows in ./prisma/bench.db)
+//   npm run bench:prices -- --rows 5000000 --samples 1000
+//   npm run bench:prices -- --reseed                   (drop and seed again)
+// Never point --db at a real database - seeding wipes the catalog tables.
+import { parseArgs } from 'util';
+import { execFileSync } from 'child_process';
+import { performance } from 'perf_hooks';
+import { PrismaClient } from '@prisma/client';
+import { rebuildCurrentPrices } from '../src/services/currentPrices.js';
+
+const { values } = parseArgs({
+  options: {
+    db: { type: 'string', default: 'file:./bench.db' },
+    rows: { type: 'string', default: '2000000' },
+    samples: { type: 'string', default: '500' },
+    reseed: { type: 'boolean', default: false },
+  },
+});
+
+const MANUFACTURERS = 20;
+const DEVICES_PER_MANUFACTURER = 50;
+const ACTIONS_PER_DEVICE = 10;
+const ACTION_COUNT =
+  MANUFACTURERS * DEVICES_PER_MANUFACTURER * ACTIONS_PER_DEVICE;
+
+const targetRows = parseInt(values.rows);
+const samples = parseInt(values.samples);
+const historyPerAction = Math.max(1, Math.round(targetRows / ACTION_COUNT));
+
+if (/dev\.db|data\//.test(values.db)) {
+  console.error(`❌ Refusing to seed ${values.db} - use a throwaway database`);
+  process.exit(1);
+}
+
+// Bring the benchmark database to the current schema
+console.log(`🗄️ Migrating ${values.db}...`);
+execFileSync('npx', ['prisma', 'migrate', 'deploy'], {
+  env: { ...process.env, DATABASE_URL: values.db },
+  stdio: 'inherit',
+});
+
+const prisma = new PrismaClient({
+  datasources: { db: { url: values.db } },
+});
+
+// Numbers 1..n as a SQLite CTE
+const series = (n) =>
+  `WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ${n}) SELECT i FROM n`;
+
+async function seed() {
+  console.log(
+    `🌱 Seeding ${ACTION_COUNT} actions × ${historyPerAction} prices...`
+  );
+
+  // Children first - foreign keys
+  for (const table of [
+    'PriceChange',
+    'QuarantinedPrice',
+    'CurrentPrice',
+    'PriceOverride',
+    'Price',
+    'PriceSource',
+    'Appointment',
+    'Action',
+    'BuybackRequest',
+    'BuybackPrice',
+    'DeviceAlias',
+    'Device',
+    'Manufacturer',
+  ]) {
+    await prisma.$executeRawUnsafe(`DELETE FROM "${table}"`);
+  }
+
+  await prisma.$executeRawUnsafe(
+    `INSERT INTO "Manufacturer" ("name") SELECT 'Bench Manufacturer ' || i FROM (${series(MANUFACTURERS)})`
+  );
+  await prisma.$executeRawUnsafe(
+    `INSERT INTO "Device" ("name", "manufacturerId")
+     SELECT 'Bench Device ' || d.i, m."id" FROM "Manufacturer" m, (${series(DEVICES_PER_MANUFACTURER)}) d`
+  );
+  await prisma.$executeRawUnsafe(
+    `INSERT INTO "Action" ("name", "deviceId")
+     SELECT 'Bench Repair ' || a.i, d."id" FROM "Device" d, (${series(ACTIONS_PER_DEVICE)}) a`
+  );
+
+  const source = await prisma.priceSource.create({
+    data: { key: 'bench', name: 'Benchmark', primary: true },
+  });
+
+  // One row per action and day going back - DateTime is stored as epoch ms
+  const now = Date.now();
+  await prisma.$executeRawUnsafe(
+    `INSERT INTO "Price" ("actionId", "sourceId", "priceCents", "dateCollected")
+     SELECT a."id", ${source.id}, (50 + abs(random() % 250)) * 100, ${now} - h.i * 86400000
+     FROM "Action" a, (${series(historyPerAction)}) h`
+  );
+
+  const projected = await rebuildCurrentPrices(prisma);
+  console.log(`✅ Seeded, ${projected} current prices projected`);
+}
+
+// Run fn for every ID and report total/average milliseconds
+async function time(label, ids, fn) {
+  const start = performance.now();
+  for (const id of ids) await fn(id);
+  const total = performance.now() - start;
+
+  console.log(
+    `   ${label.padEnd(34)} ${total.toFixed(0).padStart(7)} ms  (${(total / ids.length).toFixed(2)} ms each)`
+  );
+  return total;
+}
+
+// Random sample of IDs from a table
+async function sampleIds(table, count) {
+  const rows = await prisma.$queryRawUnsafe(
+    `SELECT "id" FROM "${table}" ORDER BY random() LIMIT ${count}`
+  );
+  return rows.map((row) => Number(row.id));
+}
+
+async function main() {
+  const priceCount = await prisma.price.count();
+  if (values.reseed || priceCount < targetRows * 0.9) {
+    await seed();
+  } else {
+    console.log(`📦 Reusing ${priceCount} seeded price rows`);
+  }
+
+  const actionIds = await sampleIds('Action', samples);
+  const deviceIds = await sampleIds('Device', Math.ceil(samples / 10));
+
+  console.log(`\n⏱️ Single action (${actionIds.length} lookups)`);
+  const historyAction = await time(
+    'history findFirst/orderBy',
+    actionIds,
+    (id) =>
+      prisma.price.findFirst({
+        where: { actionId: id },
+        orderBy: { dateCollected: 'desc' },
+      })
+  );
+  const currentAction = await time('CurrentPrice findUnique', actionIds, (id) =>
+    prisma.currentPrice.findUnique({ where: { actionId: id } })
+  );
+
+  console.log(`\n⏱️ Device with actions (${deviceIds.length} lookups)`);
+  const historyDevice = await time('include prices take 1', deviceIds, (id) =>
+    prisma.action.findMany({
+      where: { deviceId: id },
+      include: { prices: { orderBy: { dateCollected: 'desc' }, take: 1 } },
+    })
+  );
+  const currentDevice = await time('include currentPrice', deviceIds, (id) =>
+    prisma.action.findMany({
+      where: { deviceId: id },
+      include: { currentPrice: true },
+    })
+  );
+
+  console.log('\n⏱️ Stats: 10 latest prices + range (5 runs)');
+  const runs = [1, 2, 3, 4, 5];
+  const historyStats = await time('Price table', runs, () =>
+    Promise.all([
+      prisma.price.findMany({ orderBy: { dateCollected: 'desc' }, take: 10 }),
+      prisma.price.aggregate({
+        _min: { priceCents: true },
+        _max: { priceCents: true },
+      }),
+    ])
+  );
+  const currentStats = await time('CurrentPrice table', runs, () =>
+    Promise.all([
+      prisma.currentPrice.findMany({
+        orderBy: { dateCollected: 'desc' },
+        take: 10,
+      }),
+      prisma.currentPrice.aggregate({
+        _min: { priceCents: true },
+        _max: { priceCents: true },
+      }),
+    ])
+  );
+
+  const speedup = (before, after) => `${(before / after).toFixed(1)}×`;
+  console.log('\n📊 Speedup with CurrentPrice:', {
+    action: speedup(historyAction, currentAction),
+    device: speedup(historyDevice, currentDevice),
+    stats: speedup(historyStats, currentStats),
+  });
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Benchmark failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
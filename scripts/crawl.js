@@ -0,0 +1,53 @@
+// scripts/crawl.js - CLI for the price crawler
+// Usage:
+//   npm run crawl
+//   npm run crawl -- --manufacturer Apple
+//   npm run crawl -- --manufacturer Apple --device "iPhone 13 Pro"
+//   npm run crawl -- --resume latest
+//   npm run crawl -- --resume 42
+//   npm run crawl -- --source fixture   (offline, stub calculator from disk,
+//                                        throwaway DATABASE_URL only)
+import { parseArgs } from 'util';
+import { crawlPrices } from '../src/services/simpleCrawler.js';
+
+const { values } = parseArgs({
+  options: {
+    manufacturer: { type: 'string', short: 'm' },
+    device: { type: 'string', short: 'd' },
+    resume: { type: 'string', short: 'r' },
+    source: { type: 'string', short: 's' },
+  },
+});
+
+if (values.resume && (values.manufacturer || values.device || values.source)) {
+  console.error('❌ --resume keeps the original scope and source of the run');
+  console.log('💡 Drop --manufacturer/--device/--source when resuming');
+  process.exit(1);
+}
+
+// Fixture prices are made up - keep them out of the shop's database
+const databaseUrl = process.env.DATABASE_URL || '';
+if (
+  values.source === 'fixture' &&
+  (!databaseUrl || /dev\.db|data\//.test(databaseUrl))
+) {
+  console.error(
+    `❌ Refusing to crawl fixture prices into ${databaseUrl || 'the default database'}`
+  );
+  console.log(
+    '💡 Point DATABASE_URL at a throwaway database, e.g. DATABASE_URL="file:./test.db"'
+  );
+  process.exit(1);
+}
+
+crawlPrices(values)
+  .then((result) => {
+    console.log(`📋 Crawl run ${result.id}: ${result.status}`);
+  })
+  .catch((error) => {
+    console.error('❌ Crawl failed:', error.message);
+    console.log(
+      '💡 Continue where it stopped with: npm run crawl -- --resume latest'
+    );
+    process.exit(1);
+  });
@@ -0,0 +1,58 @@
+// scripts/create-user.js - Create a user or reset an existing user's password
+// Usage:
+//   npm run user:create -- --username admin --password "..." --role admin
+//   npm run user:create -- -u max -p "..." -e max@example.com
+import { parseArgs } from 'util';
+import { PrismaClient } from '@prisma/client';
+import { hashPassword, ROLES } from '../src/services/auth.js';
+
+const MIN_PASSWORD_LENGTH = 10;
+
+const { values } = parseArgs({
+  options: {
+    username: { type: 'string', short: 'u' },
+    password: { type: 'string', short: 'p' },
+    email: { type: 'string', short: 'e' },
+    role: { type: 'string', short: 'r', default: 'user' },
+  },
+});
+
+const { username, password, email, role } = values;
+
+if (!username || !password) {
+  console.error('❌ --username and --password are required');
+  process.exit(1);
+}
+if (password.length < MIN_PASSWORD_LENGTH) {
+  console.error(`❌ Password needs at least ${MIN_PASSWORD_LENGTH} characters`);
+  process.exit(1);
+}
+if (!ROLES.includes(role)) {
+  console.error(`❌ Unknown role "${role}" (use ${ROLES.join(' or ')})`);
+  process.exit(1);
+}
+
+const prisma = new PrismaClient();
+
+try {
+  const passwordHash = await hashPassword(password);
+
+  // Existing users get the new password/role and lose their sessions
+  const user = await prisma.user.upsert({
+    where: { username },
+    update: {
+      password: passwordHash,
+      role,
+      ...(email && { email }),
+      sessions: { deleteMany: {} },
+    },
+    create: { username, password: passwordHash, role, email: email || null },
+  });
+
+  console.log(`✅ User "${user.username}" saved (role: ${user.role})`);
+} catch (error) {
+  console.error('❌ Failed to save user:', error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
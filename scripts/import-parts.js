@@ -0,0 +1,67 @@
+// scripts/import-parts.js - Import a supplier price list into UniqueDevice
+// Usage:
+//   npm run parts:import -- lists/supplier.xlsx
+//   npm run parts:import -- lists/supplier.csv --manufacturer "Foneday"
+//   npm run parts:import -- lists/supplier.csv --map "Art.-Nr.=artikelNummer" --map "VK=nettPreis"
+//   npm run parts:import -- lists/supplier.csv --dry-run   (validate and count only)
+import { parseArgs } from 'util';
+import { readFile } from 'fs/promises';
+import { PrismaClient } from '@prisma/client';
+import {
+  formatFromName,
+  importParts,
+  readSheet,
+} from '../src/services/partsImport.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    format: { type: 'string' },
+    manufacturer: { type: 'string' },
+    map: { type: 'string', multiple: true, default: [] },
+    'dry-run': { type: 'boolean', default: false },
+  },
+});
+
+const [file] = positionals;
+if (!file) {
+  console.error('❌ Usage: npm run parts:import -- <file.csv|file.xlsx>');
+  process.exit(1);
+}
+
+// "Column=field" pairs → { Column: field }
+const mapping = Object.fromEntries(
+  values.map.map((pair) => {
+    const index = pair.lastIndexOf('=');
+    return [pair.slice(0, index), pair.slice(index + 1)];
+  })
+);
+
+const prisma = new PrismaClient();
+
+try {
+  const rows = await readSheet(
+    await readFile(file),
+    values.format || formatFromName(file)
+  );
+  const { errors = [], ...result } = await importParts(prisma, rows, {
+    mapping,
+    manufacturer: values.manufacturer || null,
+    dryRun: values['dry-run'],
+  });
+
+  if (result.error) {
+    console.error(`❌ ${result.error}`);
+    process.exitCode = 1;
+  } else {
+    for (const { line, errors: messages } of errors) {
+      console.warn(`⚠️ Line ${line}: ${messages.join('; ')}`);
+    }
+    console.log('📊 Import summary:', result);
+  }
+} catch (error) {
+  console.error('❌ Parts import failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
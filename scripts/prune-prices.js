@@ -0,0 +1,38 @@
+// scripts/prune-prices.js - Apply the price history retention policy
+// Usage:
+//   npm run prices:prune                          (keep 90 days, daily points before)
+//   npm run prices:prune -- --days 30 --bucket week
+//   npm run prices:prune -- --dry-run             (count only)
+import { parseArgs } from 'util';
+import { PrismaClient } from '@prisma/client';
+import { prunePriceHistory } from '../src/services/priceRetention.js';
+
+const { values } = parseArgs({
+  options: {
+    days: {
+      type: 'string',
+      default: process.env.PRICE_RETENTION_DAYS || '90',
+    },
+    bucket: {
+      type: 'string',
+      default: process.env.PRICE_RETENTION_BUCKET || 'day',
+    },
+    'dry-run': { type: 'boolean', default: false },
+  },
+});
+
+const prisma = new PrismaClient();
+
+try {
+  const result = await prunePriceHistory(prisma, {
+    days: parseInt(values.days),
+    bucket: values.bucket,
+    dryRun: values['dry-run'],
+  });
+  console.log('📊 Retention summary:', result);
+} catch (error) {
+  console.error('❌ Price retention failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
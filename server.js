@@ -4,6 +4,74 @@ import { PrismaClient } from '@prisma/client';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { existsSync, mkdirSync } from 'fs';
+import { createHash } from 'crypto';
+import {
+  createCrawlScheduler,
+  createCronTimer,
+  parseCron,
+} from './src/services/crawlScheduler.js';
+import { prunePriceHistory } from './src/services/priceRetention.js';
+import { createSearchIndex } from './src/services/catalogSearch.js';
+import { importParts, readSheet } from './src/services/partsImport.js';
+import {
+  MARGIN_STATUSES,
+  computeMargin,
+  marginSettings,
+} from './src/services/margins.js';
+import {
+  eanVariants,
+  parseEan,
+  parsePartQuery,
+} from './src/services/partsCatalog.js';
+import {
+  latestPrice,
+  primarySourceWhere,
+  rebuildCurrentPrices,
+} from './src/services/currentPrices.js';
+import {
+  applyRule,
+  compareRules,
+  createPricer,
+  diffPricing,
+  isRuleLive,
+} from './src/services/pricingRules.js';
+import {
+  ANOMALY_REASONS,
+  QUARANTINE_STATUSES,
+  reviewQuarantinedPrice,
+} from './src/services/priceAnomalies.js';
+import { centsToEuros, formatPrice } from './src/services/priceParser.js';
+import {
+  INTERVALS,
+  bucketRanges,
+  buildPriceTrends,
+  rankMovers,
+} from './src/services/priceTrends.js';
+import {
+  assignCategories,
+  loadCategorizer,
+} from './src/services/repairCategories.js';
+import {
+  deviceKey,
+  loadAliasResolver,
+  mergeActions,
+  mergeDevices,
+  normalizeName,
+} from './src/services/catalogAliases.js';
+import {
+  generateToken,
+  hashToken,
+  publicUser,
+  readBearerToken,
+  verifyMissingUser,
+  verifyPassword,
+} from './src/services/auth.js';
+import {
+  DEFAULT_OPENING_HOURS,
+  getHoursForDate,
+  getTimeSlots,
+  parseOpeningHours,
+} from './src/utils/openingHours.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -34,8 +102,15 @@ console.log(`🗄️ Database URL: ${process.env.DATABASE_URL || 'file:./dev.db'
 app.use(express.json());
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE');
+  res.header(
+    'Access-Control-Allow-Headers',
+    'Content-Type, Authorization, If-None-Match'
+  );
+  res.header('Access-Control-Expose-Headers', 'ETag');
+
+  // Answer CORS preflight (sent for PUT/PATCH/DELETE and Authorization headers)
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
 });
 
@@ -65,21 +140,198 @@ async function testConnection() {
   }
 }
 
+// Cheap connectivity check for /health - no data leaves the server
+async function pingDatabase() {
+  try {
+    await prisma.$queryRaw`SELECT 1`;
+    return true;
+  } catch (error) {
+    console.error('❌ Database connection failed:', error);
+    return false;
+  }
+}
+
+// =================================
+// AUTHENTICATION - Bearer token sessions
+// =================================
+
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7;
+const SESSION_TOUCH_MS = 5 * 60 * 1000;
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_TRACKED_MAX = 10000;
+
+// Failed logins per "ip:username" - in-memory, resets on restart
+const failedLogins = new Map();
+
+function isLoginThrottled(key) {
+  const entry = failedLogins.get(key);
+  if (entry && Date.now() - entry.firstAt > LOGIN_WINDOW_MS) {
+    failedLogins.delete(key);
+    return false;
+  }
+  return entry?.count >= LOGIN_MAX_ATTEMPTS;
+}
+
+function recordFailedLogin(key) {
+  const now = Date.now();
+
+  // Insertion order is firstAt order - expired entries sit at the front
+  for (const [staleKey, entry] of failedLogins) {
+    if (now - entry.firstAt <= LOGIN_WINDOW_MS) break;
+    failedLogins.delete(staleKey);
+  }
+
+  const entry = failedLogins.get(key) || { count: 0, firstAt: now };
+  entry.count++;
+  failedLogins.set(key, entry);
+
+  // Cap for floods of distinct usernames/IPs - the oldest entries go first
+  while (failedLogins.size > LOGIN_TRACKED_MAX) {
+    failedLogins.delete(failedLogins.keys().next().value);
+  }
+}
+
+// Attach req.user when a valid session token is sent - never rejects
+async function authenticate(req, res, next) {
+  const token = readBearerToken(req);
+  if (!token) return next();
+
+  try {
+    const session = await prisma.session.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: true },
+    });
+
+    if (session && session.expiresAt > new Date()) {
+      req.user = publicUser(session.user);
+      req.authSession = session;
+
+      // Track activity without writing on every request
+      if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_MS) {
+        await prisma.session.update({
+          where: { id: session.id },
+          data: { lastUsedAt: new Date() },
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to authenticate' });
+  }
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (req.user.role !== 'admin') {
+    console.warn(`🔒 ${req.user.username} denied ${req.method} ${req.path}`);
+    return res.status(403).json({ error: 'Admin role required' });
+  }
+  next();
+}
+
+app.use(authenticate);
+
+// Log in with username and password - returns a bearer token
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (
+    typeof username !== 'string' ||
+    typeof password !== 'string' ||
+    !username.trim() ||
+    !password
+  ) {
+    return res
+      .status(400)
+      .json({ error: 'username and password are required' });
+  }
+
+  const throttleKey = `${req.ip}:${username.trim().toLowerCase()}`;
+  if (isLoginThrottled(throttleKey)) {
+    return res
+      .status(429)
+      .json({ error: 'Too many failed logins, try again later' });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { username: username.trim() },
+    });
+    const valid = user
+      ? await verifyPassword(password, user.password)
+      : await verifyMissingUser(password);
+
+    if (!valid) {
+      recordFailedLogin(throttleKey);
+      console.warn(`🔒 Failed login for "${username.trim()}"`);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    failedLogins.delete(throttleKey);
+
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600000);
+
+    // Drop the user's expired sessions on the way
+    await prisma.$transaction([
+      prisma.session.deleteMany({
+        where: { userId: user.id, expiresAt: { lt: new Date() } },
+      }),
+      prisma.session.create({
+        data: { tokenHash: hashToken(token), userId: user.id, expiresAt },
+      }),
+    ]);
+
+    console.log(`🔑 ${user.username} logged in`);
+    res.json({ token, expiresAt, user: publicUser(user) });
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Invalidate the current session token
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await prisma.session.delete({ where: { id: req.authSession.id } });
+    console.log(`👋 ${req.user.username} logged out`);
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Current user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ user: req.user, expiresAt: req.authSession.expiresAt });
+});
+
 // =================================
 // API ROUTES - Read-Only Database Access
 // =================================
 
-// Health check with complete DB status
+// Health check - status only; counts and runtime details are in /api/debug
 app.get('/health', async (req, res) => {
   console.log('💚 Health check');
-  const dbStatus = await testConnection();
+  const connected = await pingDatabase();
 
   res.json({
-    status: dbStatus.connected ? 'healthy' : 'degraded',
+    status: connected ? 'healthy' : 'degraded',
     service: 'muchandy-api',
-    port: PORT,
-    database: dbStatus,
-    environment: process.env.NODE_ENV || 'development',
+    database: { connected },
     timestamp: new Date().toISOString(),
   });
 });
@@ -198,377 +450,3190 @@ app.get('/api/unique-devices', async (req, res) => {
   }
 });
 
-// Get all actions (unique action names)
-app.get('/api/actions', async (req, res) => {
-  console.log('🔧 GET unique action names');
+// Search parts - paginated and sortable (see parsePartQuery for parameters)
+// Login only, like the lookups below - parts carry our purchase prices
+app.get('/api/unique-devices/search', requireAuth, async (req, res) => {
+  const query = parsePartQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
 
-  try {
-    const actions = await prisma.action.groupBy({
-      by: ['name'],
-      _count: {
-        name: true,
-      },
-      orderBy: {
-        name: 'asc',
-      },
-    });
+  const { where, orderBy, skip, take, page, pageSize } = query;
+  console.log(`🔩 Search parts: ${req.query.q || '(all)'} (page ${page})`);
 
-    // Format with sequential IDs
-    const formattedActions = actions.map((action, index) => ({
-      id: index + 1,
-      name: action.name,
-      count: action._count.name,
-    }));
+  try {
+    const [total, results] = await Promise.all([
+      prisma.uniqueDevice.count({ where }),
+      prisma.uniqueDevice.findMany({
+        where,
+        orderBy,
+        skip,
+        take,
+        include: { uniqueManufacturer: true },
+      }),
+    ]);
 
-    console.log(`   Found ${formattedActions.length} unique actions`);
-    res.json(formattedActions);
+    res.json({
+      total,
+      page,
+      pageSize,
+      pages: Math.ceil(total / pageSize),
+      results,
+    });
   } catch (error) {
     console.error('❌ Database error:', error);
-    res.status(500).json({ error: 'Failed to fetch actions' });
+    res.status(500).json({ error: 'Failed to search unique devices' });
   }
 });
 
-// Get actions for specific device
-app.get('/api/device/:deviceId/actions', async (req, res) => {
-  const deviceId = parseInt(req.params.deviceId);
-  console.log(`🔧 GET actions for device ${deviceId}`);
+// Barcode lookup - EAN-13 (or UPC-A) with check digit validation
+app.get('/api/unique-devices/ean/:ean', requireAuth, async (req, res) => {
+  const { ean, error } = parseEan(req.params.ean);
+  if (error) return res.status(400).json({ error });
+  console.log(`🔩 GET part by EAN ${ean}`);
 
   try {
-    const actions = await prisma.action.findMany({
-      where: { deviceId },
-      include: {
-        prices: {
-          orderBy: { dateCollected: 'desc' },
-          take: 1,
-        },
-      },
+    const parts = await prisma.uniqueDevice.findMany({
+      where: { ean: { in: eanVariants(ean) } },
+      orderBy: { artikelNummer: 'asc' },
+      include: { uniqueManufacturer: true },
     });
 
-    // Format with latest price
-    const formattedActions = actions.map((action) => ({
-      id: action.id,
-      name: action.name,
-      deviceId: action.deviceId,
-      latestPrice: action.prices[0]?.price || null,
-      priceDate: action.prices[0]?.dateCollected || null,
-    }));
+    if (parts.length === 0) {
+      return res.status(404).json({ error: 'No part with this EAN' });
+    }
 
-    console.log(`   Found ${formattedActions.length} actions`);
-    res.json(formattedActions);
+    // Duplicate EANs happen in supplier data - list the others for staff
+    const [part, ...others] = parts;
+    res.json({
+      ...part,
+      otherMatches: others.map(({ id, artikelNummer, artikelBezeichnung }) => ({
+        id,
+        artikelNummer,
+        artikelBezeichnung,
+      })),
+    });
   } catch (error) {
     console.error('❌ Database error:', error);
-    res.status(500).json({ error: 'Failed to fetch device actions' });
+    res.status(500).json({ error: 'Failed to look up EAN' });
   }
 });
 
-// Get price by action ID or device/action combination
-app.get('/api/price', async (req, res) => {
-  const actionId = parseInt(req.query.actionId);
-  const deviceId = parseInt(req.query.deviceId);
-  const actionName = req.query.actionName;
-
-  console.log(
-    `💰 GET price - actionId: ${actionId}, deviceId: ${deviceId}, actionName: ${actionName}`
-  );
+// Article number lookup - our number first, then the manufacturer's
+app.get('/api/unique-devices/article/:nr', requireAuth, async (req, res) => {
+  const nr = req.params.nr.trim();
+  console.log(`🔩 GET part by article number ${nr}`);
 
   try {
-    let priceData = null;
+    const part =
+      (await prisma.uniqueDevice.findUnique({
+        where: { artikelNummer: nr },
+        include: { uniqueManufacturer: true },
+      })) ||
+      (await prisma.uniqueDevice.findFirst({
+        where: { herstellerArtikelNummer: nr },
+        orderBy: { artikelNummer: 'asc' },
+        include: { uniqueManufacturer: true },
+      }));
+
+    if (!part) {
+      return res
+        .status(404)
+        .json({ error: 'No part with this article number' });
+    }
 
-    if (actionId) {
-      // Get price by specific action ID
-      const price = await prisma.price.findFirst({
-        where: { actionId },
-        orderBy: { dateCollected: 'desc' },
-        include: {
-          action: {
-            include: {
-              device: {
-                include: { manufacturer: true },
-              },
-            },
-          },
-        },
-      });
+    res.json({
+      ...part,
+      matchedBy:
+        part.artikelNummer === nr ? 'artikelNummer' : 'herstellerArtikelNummer',
+    });
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to look up article number' });
+  }
+});
 
-      if (price) {
-        priceData = {
-          price: price.price,
-          currency: 'EUR',
-          formatted: `${price.price} €`,
-          actionId: price.actionId,
-          actionName: price.action.name,
-          deviceId: price.action.deviceId,
-          deviceName: price.action.device.name,
-          manufacturerId: price.action.device.manufacturerId,
-          manufacturerName: price.action.device.manufacturer.name,
-          dateCollected: price.dateCollected,
-        };
-      }
-    } else if (deviceId && actionName) {
-      // Get price by device ID and action name
-      const action = await prisma.action.findFirst({
-        where: {
-          deviceId,
-          name: actionName,
+// Get all actions (unique action names)
+app.get('/api/actions', async (req, res) => {
+  console.log('🔧 GET unique action names');
+
+  try {
+    const [actions, categories] = await Promise.all([
+      prisma.action.groupBy({
+        by: ['name', 'categoryId'],
+        _count: {
+          name: true,
         },
-        include: {
-          prices: {
-            orderBy: { dateCollected: 'desc' },
-            take: 1,
-          },
-          device: {
-            include: { manufacturer: true },
-          },
+        orderBy: {
+          name: 'asc',
         },
-      });
+      }),
+      prisma.repairCategory.findMany(),
+    ]);
+    const categoriesById = new Map(categories.map((c) => [c.id, c]));
+
+    // One entry per name - devices may file the same repair under different
+    // categories: the most common one wins (ties: lowest ID), uncategorized
+    // only when no device has a category
+    const byName = new Map();
+    actions.forEach(({ name, categoryId, _count }) => {
+      const entry = byName.get(name) || { name, count: 0, groups: [] };
+      entry.count += _count.name;
+      entry.groups.push({ categoryId, count: _count.name });
+      byName.set(name, entry);
+    });
 
-      if (action && action.prices.length > 0) {
-        priceData = {
-          price: action.prices[0].price,
-          currency: 'EUR',
-          formatted: `${action.prices[0].price} €`,
-          actionId: action.id,
-          actionName: action.name,
-          deviceId: action.deviceId,
-          deviceName: action.device.name,
-          manufacturerId: action.device.manufacturerId,
-          manufacturerName: action.device.manufacturer.name,
-          dateCollected: action.prices[0].dateCollected,
-        };
-      }
-    }
+    // Format with sequential IDs
+    const formattedActions = [...byName.values()].map((action, index) => {
+      const [top] = action.groups.sort(
+        (a, b) =>
+          (a.categoryId === null) - (b.categoryId === null) ||
+          b.count - a.count ||
+          a.categoryId - b.categoryId
+      );
+      return {
+        id: index + 1,
+        name: action.name,
+        count: action.count,
+        categoryId: top.categoryId,
+        category: categoriesById.get(top.categoryId)?.slug || null,
+      };
+    });
 
-    if (priceData) {
-      console.log(`   Found price: ${priceData.formatted}`);
-      res.json(priceData);
-    } else {
-      res.status(404).json({ error: 'Price not found' });
-    }
+    console.log(`   Found ${formattedActions.length} unique actions`);
+    res.json(formattedActions);
   } catch (error) {
     console.error('❌ Database error:', error);
-    res.status(500).json({ error: 'Failed to fetch price' });
+    res.status(500).json({ error: 'Failed to fetch actions' });
   }
 });
 
-// Get all prices for a device
-app.get('/api/device/:deviceId/prices', async (req, res) => {
-  const deviceId = parseInt(req.params.deviceId);
-  console.log(`💰 GET all prices for device ${deviceId}`);
+// Get repair categories with action and device counts
+app.get('/api/categories', async (req, res) => {
+  console.log('🗂️ GET repair categories');
 
   try {
-    const prices = await prisma.price.findMany({
-      where: {
-        action: { deviceId },
-      },
-      orderBy: { dateCollected: 'desc' },
-      include: {
-        action: true,
-      },
-    });
+    const [categories, counts] = await Promise.all([
+      prisma.repairCategory.findMany({ orderBy: { sortOrder: 'asc' } }),
+      prisma.action.groupBy({
+        by: ['categoryId', 'deviceId'],
+        where: { categoryId: { not: null } },
+        _count: { id: true },
+      }),
+    ]);
 
-    // Group by action
-    const groupedPrices = prices.reduce((acc, price) => {
-      const actionName = price.action.name;
-      if (!acc[actionName]) {
-        acc[actionName] = {
-          actionId: price.action.id,
-          actionName,
-          prices: [],
-        };
-      }
-      acc[actionName].prices.push({
-        price: price.price,
-        dateCollected: price.dateCollected,
-      });
-      return acc;
-    }, {});
+    // One group per category/device pair - devices are counted once
+    const totals = new Map();
+    counts.forEach(({ categoryId, _count }) => {
+      const total = totals.get(categoryId) || { actions: 0, devices: 0 };
+      total.actions += _count.id;
+      total.devices++;
+      totals.set(categoryId, total);
+    });
 
-    res.json(Object.values(groupedPrices));
+    res.json(
+      categories.map((category) => ({
+        id: category.id,
+        slug: category.slug,
+        name: category.name,
+        icon: category.icon,
+        sortOrder: category.sortOrder,
+        actionCount: totals.get(category.id)?.actions || 0,
+        deviceCount: totals.get(category.id)?.devices || 0,
+      }))
+    );
   } catch (error) {
     console.error('❌ Database error:', error);
-    res.status(500).json({ error: 'Failed to fetch device prices' });
+    res.status(500).json({ error: 'Failed to fetch categories' });
   }
 });
 
-// Get price history for an action
-app.get('/api/action/:actionId/price-history', async (req, res) => {
-  const actionId = parseInt(req.params.actionId);
-  console.log(`📈 GET price history for action ${actionId}`);
+// Devices offering a repair category, with prices (":id" = ID or slug, ?manufacturerId)
+app.get('/api/categories/:id/devices', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const manufacturerId = parseInt(req.query.manufacturerId);
+  console.log(`🗂️ GET devices for category ${req.params.id}`);
 
   try {
-    const prices = await prisma.price.findMany({
-      where: { actionId },
-      orderBy: { dateCollected: 'desc' },
+    const category = await prisma.repairCategory.findUnique({
+      where: String(id) === req.params.id ? { id } : { slug: req.params.id },
+    });
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const actions = await prisma.action.findMany({
+      where: {
+        categoryId: category.id,
+        ...(manufacturerId && { device: { manufacturerId } }),
+      },
       include: {
-        action: {
-          include: {
-            device: {
-              include: { manufacturer: true },
-            },
-          },
-        },
+        currentPrice: true,
+        device: { include: { manufacturer: true } },
       },
+      orderBy: [{ deviceId: 'asc' }, { name: 'asc' }],
     });
+    const [overrides, pricer] = await Promise.all([
+      getActiveOverrides({ actionId: { in: actions.map((a) => a.id) } }),
+      getPricer(),
+    ]);
 
-    if (prices.length === 0) {
-      return res.status(404).json({ error: 'No price history found' });
-    }
+    // Group actions by device - Algorithmic Elegance
+    const devices = new Map();
+    actions.forEach((action) => {
+      const { device } = action;
+      if (!devices.has(device.id)) {
+        devices.set(device.id, {
+          id: device.id,
+          name: device.name,
+          manufacturerId: device.manufacturerId,
+          manufacturerName: device.manufacturer.name,
+          minPrice: null,
+          actions: [],
+        });
+      }
 
-    const action = prices[0].action;
+      const entry = devices.get(device.id);
+      const fields = effectivePriceFields(
+        action.currentPrice,
+        overrides.get(action.id),
+        pricer.ruleFor(
+          pricingTarget(action, device.manufacturerId),
+          action.currentPrice
+        )
+      );
+      entry.actions.push({ id: action.id, name: action.name, ...fields });
+      if (
+        fields.price !== null &&
+        (entry.minPrice === null || fields.price < entry.minPrice)
+      ) {
+        entry.minPrice = fields.price;
+      }
+    });
+
+    const sortedDevices = [...devices.values()].sort(
+      (a, b) =>
+        a.manufacturerName.localeCompare(b.manufacturerName) ||
+        a.name.localeCompare(b.name, 'de', { numeric: true })
+    );
 
+    console.log(`   Found ${sortedDevices.length} devices`);
     res.json({
-      actionId: action.id,
-      actionName: action.name,
-      deviceName: action.device.name,
-      manufacturerName: action.device.manufacturer.name,
-      priceHistory: prices.map((p) => ({
-        price: p.price,
-        dateCollected: p.dateCollected,
-      })),
+      category: {
+        id: category.id,
+        slug: category.slug,
+        name: category.name,
+        icon: category.icon,
+      },
+      devices: sortedDevices,
     });
   } catch (error) {
     console.error('❌ Database error:', error);
-    res.status(500).json({ error: 'Failed to fetch price history' });
+    res.status(500).json({ error: 'Failed to fetch category devices' });
   }
 });
 
-// Database statistics
-app.get('/api/stats', async (req, res) => {
-  console.log('📊 GET database statistics');
+// Get buyback conditions (device grading)
+app.get('/api/conditions', async (req, res) => {
+  console.log('📋 GET conditions');
 
   try {
-    const [
-      manufacturerCount,
-      deviceCount,
-      actionCount,
-      priceCount,
-      uniqueManufacturerCount,
-      uniqueDeviceCount,
-      uniqueActionCount,
-      latestPrices,
-      priceRange,
-    ] = await Promise.all([
-      prisma.manufacturer.count(),
-      prisma.device.count(),
-      prisma.action.count(),
-      prisma.price.count(),
-      prisma.uniqueManufacturer.count(),
-      prisma.uniqueDevice.count(),
-      prisma.action.groupBy({ by: ['name'] }).then((r) => r.length),
-      prisma.price.findMany({
-        orderBy: { dateCollected: 'desc' },
-        take: 10,
-        where: { price: { not: null } },
-        include: {
-          action: {
-            include: {
-              device: {
-                include: { manufacturer: true },
+    const conditions = await prisma.condition.findMany({
+      orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+    });
+
+    console.log(`   Found ${conditions.length} conditions`);
+    res.json(conditions);
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch conditions' });
+  }
+});
+
+// Buyback quote lookup shared by the quote and submission routes
+async function getBuybackQuote(deviceId, conditionParam) {
+  // Condition can be passed as ID or as value ("like-new", "good", ...)
+  const conditionId = parseInt(conditionParam);
+  const condition = await prisma.condition.findFirst({
+    where: conditionId
+      ? { id: conditionId }
+      : { value: String(conditionParam) },
+  });
+
+  if (!condition) {
+    return { status: 404, error: 'Condition not found' };
+  }
+
+  const device = await prisma.device.findUnique({
+    where: { id: deviceId },
+    include: {
+      manufacturer: true,
+      buybackPrices: { include: { condition: true } },
+    },
+  });
+
+  if (!device) {
+    return { status: 404, error: 'Device not found' };
+  }
+
+  // Exact price for this condition, otherwise derive it from the best
+  // graded price using the condition multipliers
+  let price = null;
+  let derived = false;
+  let dateUpdated = null;
+
+  const exact = device.buybackPrices.find(
+    (p) => p.conditionId === condition.id
+  );
+
+  if (exact) {
+    price = exact.price;
+    dateUpdated = exact.updatedAt;
+  } else {
+    const base = [...device.buybackPrices].sort(
+      (a, b) => b.condition.priceMultiplier - a.condition.priceMultiplier
+    )[0];
+
+    if (base && base.condition.priceMultiplier > 0) {
+      price = Math.round(
+        (base.price / base.condition.priceMultiplier) *
+          condition.priceMultiplier
+      );
+      derived = true;
+      dateUpdated = base.updatedAt;
+    }
+  }
+
+  return {
+    device,
+    condition,
+    quote:
+      price === null
+        ? null
+        : {
+            price,
+            currency: 'EUR',
+            formatted: `${price} €`,
+            deviceId: device.id,
+            deviceName: device.name,
+            manufacturerId: device.manufacturerId,
+            manufacturerName: device.manufacturer.name,
+            conditionId: condition.id,
+            conditionName: condition.name,
+            condition: condition.value,
+            derived,
+            dateUpdated,
+          },
+  };
+}
+
+// Get buyback (Ankauf) offer for a device in a given condition
+app.get('/api/buyback/quote', async (req, res) => {
+  const deviceId = parseInt(req.query.deviceId);
+  const conditionParam = req.query.condition;
+
+  console.log(
+    `💶 GET buyback quote - deviceId: ${deviceId}, condition: ${conditionParam}`
+  );
+
+  if (!deviceId || !conditionParam) {
+    return res
+      .status(400)
+      .json({ error: 'deviceId and condition are required' });
+  }
+
+  try {
+    const result = await getBuybackQuote(deviceId, conditionParam);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    if (!result.quote) {
+      return res.status(404).json({ error: 'No buyback price for device' });
+    }
+
+    console.log(`   Buyback offer: ${result.quote.formatted}`);
+    res.json(result.quote);
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch buyback quote' });
+  }
+});
+
+// Validate a buyback submission - returns a list of problems
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9\s/()-]{6,20}$/;
+
+function validateBuybackRequest(body = {}) {
+  const errors = [];
+
+  if (!parseInt(body.deviceId)) {
+    errors.push('deviceId is required');
+  }
+  if (!body.condition && !body.conditionId) {
+    errors.push('condition is required');
+  }
+  if (!body.name || String(body.name).trim().length < 2) {
+    errors.push('name is required');
+  }
+  if (!body.email || !EMAIL_PATTERN.test(String(body.email).trim())) {
+    errors.push('a valid email is required');
+  }
+  if (body.phone && !PHONE_PATTERN.test(String(body.phone).trim())) {
+    errors.push('phone number is invalid');
+  }
+  if (body.message && String(body.message).length > 2000) {
+    errors.push('message must be at most 2000 characters');
+  }
+
+  return errors;
+}
+
+// Submit a buyback (Ankauf) request - stores the lead with the current offer
+app.post('/api/buyback', async (req, res) => {
+  console.log('📤 POST buyback request');
+
+  const errors = validateBuybackRequest(req.body);
+  if (errors.length > 0) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid buyback request', details: errors });
+  }
+
+  const { deviceId, condition, conditionId, name, email, phone, message } =
+    req.body;
+
+  try {
+    // Quote is computed server-side so the stored price can't be tampered with
+    const result = await getBuybackQuote(
+      parseInt(deviceId),
+      conditionId || condition
+    );
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const request = await prisma.buybackRequest.create({
+      data: {
+        deviceId: result.device.id,
+        conditionId: result.condition.id,
+        quotedPrice: result.quote?.price ?? null,
+        customerName: String(name).trim(),
+        customerEmail: String(email).trim().toLowerCase(),
+        customerPhone: phone ? String(phone).trim() : null,
+        message: message ? String(message).trim() : null,
+      },
+    });
+
+    console.log(`   Stored buyback request ${request.id}`);
+    res.status(201).json({
+      id: request.id,
+      status: request.status,
+      quotedPrice: request.quotedPrice,
+      formatted:
+        request.quotedPrice !== null ? `${request.quotedPrice} €` : null,
+      createdAt: request.createdAt,
+    });
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to store buyback request' });
+  }
+});
+
+// =================================
+// Repair appointments
+// =================================
+
+const APPOINTMENT_SLOT_MINUTES =
+  parseInt(process.env.APPOINTMENT_SLOT_MINUTES) || 30;
+const APPOINTMENT_SLOT_CAPACITY =
+  parseInt(process.env.APPOINTMENT_SLOT_CAPACITY) || 1;
+const APPOINTMENT_MAX_DAYS_AHEAD = 60;
+
+// Parse "YYYY-MM-DD" as local midnight - the shop's opening hours are local
+function parseDateParam(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getDate() === day ? date : null;
+}
+
+// Date at "HH:MM" on the given day
+function atTime(date, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+}
+
+// Opening hours from the CMS footer story - the hours customers see in the
+// footer. Cached; the last loaded (or default) hours stay when Storyblok fails
+const OPENING_HOURS_STORY = 'global-footer';
+const OPENING_HOURS_TTL_MS = 10 * 60 * 1000;
+const STORYBLOK_TIMEOUT_MS = 5000;
+let openingHoursCache = { hours: DEFAULT_OPENING_HOURS, loadedAt: 0 };
+
+async function getOpeningHours() {
+  const token = process.env.VITE_STORYBLOK_TOKEN;
+  if (
+    !token ||
+    Date.now() - openingHoursCache.loadedAt < OPENING_HOURS_TTL_MS
+  ) {
+    return openingHoursCache.hours;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), STORYBLOK_TIMEOUT_MS);
+  try {
+    const version = process.env.VITE_STORYBLOK_VERSION || 'published';
+    const response = await fetch(
+      `https://api.storyblok.com/v2/cdn/stories/${OPENING_HOURS_STORY}?token=${encodeURIComponent(token)}&version=${encodeURIComponent(version)}`,
+      { signal: controller.signal }
+    );
+    if (!response.ok) throw new Error(`Storyblok returned ${response.status}`);
+
+    const { story } = await response.json();
+    const hours = parseOpeningHours(story?.content?.opening_hours);
+    // The footer shows the defaults too when the story has no hours
+    openingHoursCache = {
+      hours: hours.length > 0 ? hours : DEFAULT_OPENING_HOURS,
+      loadedAt: Date.now(),
+    };
+  } catch (error) {
+    console.warn(
+      '⚠️ Failed to load opening hours from Storyblok:',
+      error.message
+    );
+    openingHoursCache.loadedAt = Date.now();
+  } finally {
+    clearTimeout(timer);
+  }
+  return openingHoursCache.hours;
+}
+
+// Compute slots for a day from opening hours minus existing bookings
+// Opening hours are passed in - loading them may hit Storyblok, which must
+// not happen inside a booking transaction
+async function getAppointmentSlots(date, db, openingHours) {
+  const hours = getHoursForDate(openingHours, date);
+  const times = getTimeSlots(openingHours, date, APPOINTMENT_SLOT_MINUTES);
+
+  const dayEnd = new Date(date);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+
+  const booked = await db.appointment.findMany({
+    where: {
+      startsAt: { gte: date, lt: dayEnd },
+      status: { not: 'cancelled' },
+    },
+    select: { startsAt: true },
+  });
+
+  const bookedCounts = booked.reduce((acc, { startsAt }) => {
+    const key = new Date(startsAt).getTime();
+    acc[key] = (acc[key] || 0) + 1;
+    return acc;
+  }, {});
+
+  const now = Date.now();
+  const slots = times.map((time) => {
+    const startsAt = atTime(date, time);
+    const taken = bookedCounts[startsAt.getTime()] || 0;
+
+    return {
+      time,
+      startsAt,
+      available: startsAt.getTime() > now && taken < APPOINTMENT_SLOT_CAPACITY,
+    };
+  });
+
+  return { hours, slots };
+}
+
+// Get free appointment slots for a day
+app.get('/api/appointments/slots', async (req, res) => {
+  const date = parseDateParam(req.query.date);
+  console.log(`📅 GET appointment slots for ${req.query.date}`);
+
+  if (!date) {
+    return res
+      .status(400)
+      .json({ error: 'date is required in format YYYY-MM-DD' });
+  }
+
+  try {
+    const { hours, slots } = await getAppointmentSlots(
+      date,
+      prisma,
+      await getOpeningHours()
+    );
+
+    res.json({
+      date: req.query.date,
+      day: hours?.day || null,
+      open: hours?.open || null,
+      close: hours?.close || null,
+      closed: !hours || Boolean(hours.closed),
+      slotMinutes: APPOINTMENT_SLOT_MINUTES,
+      slots,
+    });
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch appointment slots' });
+  }
+});
+
+// Validate an appointment booking - returns a list of problems
+function validateAppointmentRequest(body = {}) {
+  const errors = [];
+
+  if (!parseDateParam(body.date)) {
+    errors.push('date is required in format YYYY-MM-DD');
+  }
+  if (!/^\d{2}:\d{2}$/.test(body.time || '')) {
+    errors.push('time is required in format HH:MM');
+  }
+  if (!body.name || String(body.name).trim().length < 2) {
+    errors.push('name is required');
+  }
+  if (!body.email || !EMAIL_PATTERN.test(String(body.email).trim())) {
+    errors.push('a valid email is required');
+  }
+  if (body.phone && !PHONE_PATTERN.test(String(body.phone).trim())) {
+    errors.push('phone number is invalid');
+  }
+  if (body.notes && String(body.notes).length > 2000) {
+    errors.push('notes must be at most 2000 characters');
+  }
+
+  return errors;
+}
+
+// Book a repair appointment
+app.post('/api/appointments', async (req, res) => {
+  console.log('📅 POST appointment');
+
+  const errors = validateAppointmentRequest(req.body);
+  if (errors.length > 0) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid appointment request', details: errors });
+  }
+
+  const { date, time, name, email, phone, notes } = req.body;
+  const day = parseDateParam(date);
+  const startsAt = atTime(day, time);
+
+  const maxDate = new Date();
+  maxDate.setDate(maxDate.getDate() + APPOINTMENT_MAX_DAYS_AHEAD);
+  if (startsAt > maxDate) {
+    return res.status(400).json({
+      error: `Appointments can be booked at most ${APPOINTMENT_MAX_DAYS_AHEAD} days ahead`,
+    });
+  }
+
+  try {
+    // Resolve the priced repair, if the booking came from the calculator
+    const actionId = parseInt(req.body.actionId) || null;
+    let deviceId = parseInt(req.body.deviceId) || null;
+    let quote = null;
+
+    if (actionId) {
+      const action = await prisma.action.findUnique({
+        where: { id: actionId },
+        include: { currentPrice: true, device: true },
+      });
+
+      if (!action) {
+        return res.status(404).json({ error: 'Action not found' });
+      }
+
+      const [overrides, pricer] = await Promise.all([
+        getActiveOverrides({ actionId }),
+        getPricer(),
+      ]);
+      deviceId = action.deviceId;
+      quote = effectivePriceFields(
+        action.currentPrice,
+        overrides.get(actionId),
+        pricer.ruleFor(
+          pricingTarget(action, action.device.manufacturerId),
+          action.currentPrice
+        )
+      );
+    }
+    const quotedPriceCents =
+      quote?.price != null ? Math.round(quote.price * 100) : null;
+
+    // Check and book in one transaction so a slot can't be double-booked
+    const openingHours = await getOpeningHours();
+    const appointment = await prisma.$transaction(async (tx) => {
+      const { slots } = await getAppointmentSlots(day, tx, openingHours);
+      const slot = slots.find((s) => s.time === time);
+
+      if (!slot?.available) return null;
+
+      return tx.appointment.create({
+        data: {
+          startsAt,
+          durationMinutes: APPOINTMENT_SLOT_MINUTES,
+          deviceId,
+          actionId,
+          quotedPriceCents,
+          customerName: String(name).trim(),
+          customerEmail: String(email).trim().toLowerCase(),
+          customerPhone: phone ? String(phone).trim() : null,
+          notes: notes ? String(notes).trim() : null,
+        },
+      });
+    });
+
+    if (!appointment) {
+      return res.status(409).json({ error: 'Slot is not available' });
+    }
+
+    console.log(`   Booked appointment ${appointment.id} at ${startsAt}`);
+    res.status(201).json({
+      id: appointment.id,
+      status: appointment.status,
+      startsAt: appointment.startsAt,
+      durationMinutes: appointment.durationMinutes,
+      quotedPrice: centsToEuros(appointment.quotedPriceCents),
+      priceType: quote?.priceType || null,
+      formatted: quote?.formatted || null,
+    });
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to book appointment' });
+  }
+});
+
+// Get actions for specific device
+app.get('/api/device/:deviceId/actions', async (req, res) => {
+  const deviceId = parseInt(req.params.deviceId);
+  console.log(`🔧 GET actions for device ${deviceId}`);
+
+  try {
+    const [actions, overrides, pricer] = await Promise.all([
+      prisma.action.findMany({
+        where: { deviceId },
+        include: {
+          currentPrice: true,
+          category: true,
+          device: { select: { manufacturerId: true } },
+        },
+      }),
+      getActiveOverrides({ action: { deviceId } }),
+      getPricer(),
+    ]);
+
+    // Format with the price customers see (override or pricing rule applied)
+    const formattedActions = actions.map((action) => {
+      const override = overrides.get(action.id);
+      const rule = override
+        ? null
+        : pricer.ruleFor(
+            pricingTarget(action, action.device.manufacturerId),
+            action.currentPrice
+          );
+      const row = effectivePriceRow(action.currentPrice, override, rule);
+      return {
+        id: action.id,
+        name: action.name,
+        deviceId: action.deviceId,
+        categoryId: action.categoryId,
+        category: action.category?.slug || null,
+        latestPrice: centsToEuros(row?.priceCents),
+        priceType: row?.priceType || null,
+        priceSource: priceSource(override, rule),
+        priceDate: action.currentPrice?.dateCollected || null,
+      };
+    });
+
+    console.log(`   Found ${formattedActions.length} actions`);
+    res.json(formattedActions);
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch device actions' });
+  }
+});
+
+// Prisma filter for overrides whose validity window covers `at`
+const activeOverrideWhere = (at = new Date()) => ({
+  AND: [
+    { OR: [{ validFrom: null }, { validFrom: { lte: at } }] },
+    { OR: [{ validUntil: null }, { validUntil: { gt: at } }] },
+  ],
+});
+
+// Active override per action ID - the most recently created one wins
+async function getActiveOverrides(where, db = prisma, at = new Date()) {
+  const overrides = await db.priceOverride.findMany({
+    where: { ...where, ...activeOverrideWhere(at) },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  const byAction = new Map();
+  overrides.forEach((override) => {
+    if (!byAction.has(override.actionId)) {
+      byAction.set(override.actionId, override);
+    }
+  });
+  return byAction;
+}
+
+// Price rows of one source (?source=key) - the primary source by default
+const priceSourceWhere = (key) =>
+  key ? { source: { key: String(key) } } : primarySourceWhere;
+
+// Stored price (CurrentPrice/Price row) in API shape - amounts in euros
+function priceFields(row) {
+  const stored = row || {
+    priceCents: null,
+    maxPriceCents: null,
+    priceType: 'on-request',
+  };
+  return {
+    price: centsToEuros(stored.priceCents),
+    maxPrice: centsToEuros(stored.maxPriceCents),
+    priceType: stored.priceType,
+    formatted: formatPrice(stored),
+  };
+}
+
+// Pricing rules - loaded once, dropped on admin writes; campaign windows
+// are checked per request by createPricer()
+let pricingRules = null;
+
+function invalidatePricingRules() {
+  pricingRules = null;
+}
+
+async function getPricer(at = new Date()) {
+  if (!pricingRules) {
+    pricingRules = await prisma.pricingRule.findMany({
+      where: { active: true },
+    });
+  }
+  return createPricer(pricingRules, at);
+}
+
+// Scope fields a pricing rule is matched against
+const pricingTarget = (action, manufacturerId) => ({
+  manufacturerId,
+  categoryId: action.categoryId,
+  deviceId: action.deviceId,
+});
+
+// Price shown to customers - the override (whole euros) if one is active,
+// else the crawled price with its pricing rule applied
+const effectivePriceRow = (current, override, rule = null) =>
+  override
+    ? {
+        priceCents: override.price * 100,
+        maxPriceCents: null,
+        priceType: 'exact',
+      }
+    : rule
+      ? applyRule(current, rule)
+      : current;
+
+const effectivePriceFields = (current, override, rule = null) =>
+  priceFields(effectivePriceRow(current, override, rule));
+
+const effectivePrice = (current, override, rule = null) =>
+  effectivePriceFields(current, override, rule).price;
+
+const priceSource = (override, rule) =>
+  override ? 'override' : rule ? 'rule' : 'crawler';
+
+const formatOverride = (override) =>
+  override && {
+    id: override.id,
+    price: override.price,
+    validFrom: override.validFrom,
+    validUntil: override.validUntil,
+    note: override.note,
+  };
+
+// Get price by action ID or device/action combination
+app.get('/api/price', async (req, res) => {
+  const actionId = parseInt(req.query.actionId);
+  const deviceId = parseInt(req.query.deviceId);
+  const actionName = req.query.actionName;
+
+  console.log(
+    `💰 GET price - actionId: ${actionId}, deviceId: ${deviceId}, actionName: ${actionName}`
+  );
+
+  try {
+    const include = {
+      currentPrice: true,
+      device: {
+        include: { manufacturer: true },
+      },
+    };
+
+    let action = null;
+    if (actionId) {
+      // Get price by specific action ID
+      action = await prisma.action.findUnique({
+        where: { id: actionId },
+        include,
+      });
+    } else if (deviceId && actionName) {
+      // Get price by device ID and action name (aliases and spelling variants too)
+      const [actions, aliases] = await Promise.all([
+        prisma.action.findMany({ where: { deviceId }, include }),
+        loadAliasResolver(prisma),
+      ]);
+      action = aliases.matchAction(actionName, actions);
+    }
+
+    const crawled = action?.currentPrice || null;
+    const override = action
+      ? (await getActiveOverrides({ actionId: action.id })).get(action.id)
+      : null;
+
+    if (!crawled && !override) {
+      return res.status(404).json({ error: 'Price not found' });
+    }
+
+    const rule = override
+      ? null
+      : (await getPricer()).ruleFor(
+          pricingTarget(action, action.device.manufacturerId),
+          crawled
+        );
+
+    // price/maxPrice in euros; priceType tells "ab 49 €" and ranges from exact
+    // prices, "on-request" comes with price null and the crawled text
+    const priceData = {
+      ...effectivePriceFields(crawled, override, rule),
+      currency: 'EUR',
+      priceText: override ? null : crawled.priceText || null,
+      actionId: action.id,
+      actionName: action.name,
+      deviceId: action.deviceId,
+      deviceName: action.device.name,
+      manufacturerId: action.device.manufacturerId,
+      manufacturerName: action.device.manufacturer.name,
+      dateCollected: crawled?.dateCollected || null,
+      source: priceSource(override, rule),
+      crawledPrice: centsToEuros(crawled?.priceCents),
+      ruleId: rule?.id ?? null,
+      override: formatOverride(override) || null,
+    };
+
+    console.log(`   Found price: ${priceData.formatted} (${priceData.source})`);
+    res.json(priceData);
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch price' });
+  }
+});
+
+// Get all prices for a device - current price from the projection, plus history
+app.get('/api/device/:deviceId/prices', async (req, res) => {
+  const deviceId = parseInt(req.params.deviceId);
+  console.log(`💰 GET all prices for device ${deviceId}`);
+
+  try {
+    const [actions, overrides, pricer] = await Promise.all([
+      prisma.action.findMany({
+        where: { deviceId },
+        include: { currentPrice: true, device: true },
+      }),
+      getActiveOverrides({ action: { deviceId } }),
+      getPricer(),
+    ]);
+
+    // Actions with a crawled price or an override
+    const pricedActions = actions.filter(
+      (action) => action.currentPrice || overrides.has(action.id)
+    );
+
+    // History by action ID - served by the (actionId, dateCollected) index
+    const history = await prisma.price.findMany({
+      where: {
+        actionId: { in: pricedActions.map((a) => a.id) },
+        ...primarySourceWhere,
+      },
+      orderBy: { dateCollected: 'desc' },
+      select: {
+        actionId: true,
+        priceCents: true,
+        maxPriceCents: true,
+        priceType: true,
+        dateCollected: true,
+      },
+    });
+
+    const groupedPrices = pricedActions.map((action) => {
+      const override = overrides.get(action.id);
+      const rule = override
+        ? null
+        : pricer.ruleFor(
+            pricingTarget(action, action.device.manufacturerId),
+            action.currentPrice
+          );
+      return {
+        actionId: action.id,
+        actionName: action.name,
+        prices: history
+          .filter((p) => p.actionId === action.id)
+          .map((p) => ({ ...priceFields(p), dateCollected: p.dateCollected })),
+        currentPrice: effectivePrice(action.currentPrice, override, rule),
+        priceType: effectivePriceFields(action.currentPrice, override, rule)
+          .priceType,
+        source: priceSource(override, rule),
+        override: formatOverride(override) || null,
+      };
+    });
+
+    res.json(groupedPrices);
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch device prices' });
+  }
+});
+
+// Catalog snapshot - manufacturer → device → action → current price in one response
+// Cached briefly; admin writes drop it, overrides and campaigns starting/ending change the version
+const CATALOG_TTL_MS = 60 * 1000;
+let catalogSnapshot = null;
+let catalogBuiltAt = 0;
+
+function invalidateCatalog() {
+  catalogSnapshot = null;
+}
+
+async function getCatalogSnapshot() {
+  if (catalogSnapshot && Date.now() - catalogBuiltAt < CATALOG_TTL_MS) {
+    return catalogSnapshot;
+  }
+
+  const [manufacturers, overrides, pricer] = await Promise.all([
+    prisma.manufacturer.findMany({
+      orderBy: { name: 'asc' },
+      include: {
+        devices: {
+          orderBy: { name: 'asc' },
+          include: {
+            actions: {
+              orderBy: { name: 'asc' },
+              include: { currentPrice: true, category: true },
+            },
+          },
+        },
+      },
+    }),
+    getActiveOverrides({}),
+    getPricer(),
+  ]);
+
+  const tree = manufacturers.map((m) => ({
+    id: m.id,
+    name: m.name,
+    devices: m.devices.map((d) => ({
+      id: d.id,
+      name: d.name,
+      actions: d.actions.map((a) => {
+        const override = overrides.get(a.id);
+        const rule = override
+          ? null
+          : pricer.ruleFor(pricingTarget(a, m.id), a.currentPrice);
+        return {
+          id: a.id,
+          name: a.name,
+          categoryId: a.categoryId,
+          category: a.category?.slug || null,
+          ...effectivePriceFields(a.currentPrice, override, rule),
+          source: priceSource(override, rule),
+          dateCollected: a.currentPrice?.dateCollected || null,
+        };
+      }),
+    })),
+  }));
+
+  // Content hash - identical catalogs get identical versions across restarts
+  const version = createHash('sha256')
+    .update(JSON.stringify(tree))
+    .digest('hex')
+    .slice(0, 16);
+
+  catalogSnapshot = {
+    version,
+    generatedAt: new Date().toISOString(),
+    currency: 'EUR',
+    manufacturers: tree,
+  };
+  catalogBuiltAt = Date.now();
+  return catalogSnapshot;
+}
+
+// Get the whole catalog - revalidate with If-None-Match: "<version>"
+app.get('/api/catalog', async (req, res) => {
+  console.log('📚 GET catalog snapshot');
+
+  try {
+    const snapshot = await getCatalogSnapshot();
+
+    res.set('ETag', `"${snapshot.version}"`);
+    res.set('Cache-Control', 'no-cache');
+
+    if (req.fresh) {
+      console.log(`   Not modified (${snapshot.version})`);
+      return res.status(304).end();
+    }
+
+    console.log(
+      `   Sending ${snapshot.manufacturers.length} manufacturers (${snapshot.version})`
+    );
+    res.json(snapshot);
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch catalog' });
+  }
+});
+
+// Get price history for an action (?source=key, primary source by default)
+app.get('/api/action/:actionId/price-history', async (req, res) => {
+  const actionId = parseInt(req.params.actionId);
+  console.log(`📈 GET price history for action ${actionId}`);
+
+  try {
+    const prices = await prisma.price.findMany({
+      where: { actionId, ...priceSourceWhere(req.query.source) },
+      orderBy: { dateCollected: 'desc' },
+      include: {
+        action: {
+          include: {
+            device: {
+              include: { manufacturer: true },
+            },
+          },
+        },
+      },
+    });
+
+    if (prices.length === 0) {
+      return res.status(404).json({ error: 'No price history found' });
+    }
+
+    const action = prices[0].action;
+
+    res.json({
+      actionId: action.id,
+      actionName: action.name,
+      deviceName: action.device.name,
+      manufacturerName: action.device.manufacturer.name,
+      priceHistory: prices.map((p) => ({
+        ...priceFields(p),
+        priceText: p.priceText,
+        dateCollected: p.dateCollected,
+      })),
+    });
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch price history' });
+  }
+});
+
+// Database statistics
+app.get('/api/stats', async (req, res) => {
+  console.log('📊 GET database statistics');
+
+  try {
+    const [
+      manufacturerCount,
+      deviceCount,
+      actionCount,
+      priceCount,
+      uniqueManufacturerCount,
+      uniqueDeviceCount,
+      uniqueActionCount,
+      latestPrices,
+      priceRange,
+    ] = await Promise.all([
+      prisma.manufacturer.count(),
+      prisma.device.count(),
+      prisma.action.count(),
+      prisma.price.count(),
+      prisma.uniqueManufacturer.count(),
+      prisma.uniqueDevice.count(),
+      prisma.action.groupBy({ by: ['name'] }).then((r) => r.length),
+      // Current prices only - the history table is never scanned
+      prisma.currentPrice.findMany({
+        orderBy: { dateCollected: 'desc' },
+        take: 10,
+        where: { priceCents: { not: null } },
+        include: {
+          action: {
+            include: {
+              device: {
+                include: { manufacturer: true },
               },
             },
           },
         },
-      }),
-      prisma.price.aggregate({
-        _min: { price: true },
-        _max: { price: true },
-        _avg: { price: true },
-      }),
-    ]);
+      }),
+      prisma.currentPrice.aggregate({
+        _min: { priceCents: true },
+        _max: { priceCents: true },
+        _avg: { priceCents: true },
+      }),
+    ]);
+
+    res.json({
+      counts: {
+        manufacturers: manufacturerCount,
+        devices: deviceCount,
+        actions: actionCount,
+        prices: priceCount,
+        uniqueManufacturers: uniqueManufacturerCount,
+        uniqueDevices: uniqueDeviceCount,
+        uniqueActions: uniqueActionCount,
+      },
+      priceRange: {
+        min: centsToEuros(priceRange._min.priceCents),
+        max: centsToEuros(priceRange._max.priceCents),
+        avg:
+          priceRange._avg.priceCents === null
+            ? null
+            : centsToEuros(Math.round(priceRange._avg.priceCents)),
+      },
+      latestPrices: latestPrices.map((p) => ({
+        manufacturer: p.action.device.manufacturer.name,
+        device: p.action.device.name,
+        action: p.action.name,
+        ...priceFields(p),
+        date: p.dateCollected,
+      })),
+    });
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch statistics' });
+  }
+});
+
+// =================================
+// ANALYTICS - Price trends and movers
+// =================================
+
+const TRENDS_DEFAULT_DAYS = 90;
+const TRENDS_MAX_BUCKETS = 400;
+const MOVERS_MAX_LIMIT = 50;
+
+// Action filter from ?manufacturerId, ?deviceId, ?category (id or slug), ?actionId
+function parseActionFilter(query) {
+  const where = {};
+  const manufacturerId = parseInt(query.manufacturerId);
+  const deviceId = parseInt(query.deviceId);
+  const actionId = parseInt(query.actionId);
+  const category = query.category || query.categoryId;
+
+  if (manufacturerId) where.device = { manufacturerId };
+  if (deviceId) where.deviceId = deviceId;
+  if (actionId) where.id = actionId;
+  if (category) {
+    const categoryId = parseInt(category);
+    if (String(categoryId) === String(category)) where.categoryId = categoryId;
+    else where.category = { slug: String(category) };
+  }
+  return where;
+}
+
+const TREND_PRICE_SELECT = {
+  actionId: true,
+  priceCents: true,
+  dateCollected: true,
+};
+// (actionId, dateCollected) pairs per query - keeps under SQLite's variable limit
+const OPENING_PRICE_BATCH = 500;
+
+// Each action's last price row before `before`
+async function openingPrices(where, before) {
+  const latest = await prisma.price.groupBy({
+    by: ['actionId'],
+    where: { ...where, dateCollected: { lt: before } },
+    _max: { dateCollected: true },
+  });
+
+  const rows = [];
+  for (let i = 0; i < latest.length; i += OPENING_PRICE_BATCH) {
+    const batch = latest.slice(i, i + OPENING_PRICE_BATCH);
+    rows.push(
+      ...(await prisma.price.findMany({
+        where: {
+          ...where,
+          OR: batch.map((group) => ({
+            actionId: group.actionId,
+            dateCollected: group._max.dateCollected,
+          })),
+        },
+        select: TREND_PRICE_SELECT,
+      }))
+    );
+  }
+  return rows;
+}
+
+// Bucketed crawled prices (overrides excluded) plus the last crawl's biggest movers
+// ?interval=day|week|month&from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive)&movers={n}
+app.get('/api/analytics/price-trends', requireAdmin, async (req, res) => {
+  const interval = req.query.interval || 'week';
+  console.log(`📈 GET price trends (${interval})`);
+
+  if (!INTERVALS.includes(interval)) {
+    return res
+      .status(400)
+      .json({ error: `interval must be one of: ${INTERVALS.join(', ')}` });
+  }
+
+  // Whole local days; `to` includes its own day
+  const now = new Date();
+  const toDay = req.query.to
+    ? parseDateParam(req.query.to)
+    : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const to =
+    toDay &&
+    new Date(toDay.getFullYear(), toDay.getMonth(), toDay.getDate() + 1);
+
+  const from = req.query.from
+    ? parseDateParam(req.query.from)
+    : to &&
+      new Date(
+        to.getFullYear(),
+        to.getMonth(),
+        to.getDate() - TRENDS_DEFAULT_DAYS
+      );
+
+  if (!from || !to || from >= to) {
+    return res
+      .status(400)
+      .json({ error: 'from/to must be dates (YYYY-MM-DD) with from <= to' });
+  }
+  const ranges = bucketRanges(from, to, interval);
+  if (ranges.length > TRENDS_MAX_BUCKETS) {
+    return res.status(400).json({
+      error: `Too many ${interval} buckets - use a longer interval or shorter period`,
+    });
+  }
+
+  const actionWhere = parseActionFilter(req.query);
+  const hasFilter = Object.keys(actionWhere).length > 0;
+  const moversLimit = Math.min(
+    parseInt(req.query.movers) || 10,
+    MOVERS_MAX_LIMIT
+  );
+
+  // `from` snaps to its bucket start
+  const periodStart = ranges[0].start;
+  const where = {
+    ...priceSourceWhere(req.query.source),
+    ...(hasFilter && { action: actionWhere }),
+  };
+
+  try {
+    const [openings, periodRows, lastRun] = await Promise.all([
+      // History is change-only - the last row before the period is each
+      // action's opening price
+      openingPrices(where, periodStart),
+      prisma.price.findMany({
+        where: { ...where, dateCollected: { gte: periodStart, lt: to } },
+        select: TREND_PRICE_SELECT,
+      }),
+      prisma.crawlRun.findFirst({
+        where: { status: 'completed' },
+        orderBy: { startedAt: 'desc' },
+      }),
+    ]);
+
+    const rows = [...openings, ...periodRows];
+
+    // Trends in euros - "from"/"range" prices count with their lower bound
+    const { series, change } = buildPriceTrends(
+      rows.map((row) => ({ ...row, price: centsToEuros(row.priceCents) })),
+      { interval, from, to }
+    );
+
+    const changes = lastRun
+      ? await prisma.priceChange.findMany({
+          where: {
+            crawlRunId: lastRun.id,
+            type: { in: ['increase', 'decrease'] },
+            ...(hasFilter && { action: actionWhere }),
+          },
+          include: {
+            action: {
+              include: { device: { include: { manufacturer: true } } },
+            },
+          },
+        })
+      : [];
+
+    const movers = rankMovers(changes, moversLimit).map((c) => ({
+      actionId: c.actionId,
+      actionName: c.action.name,
+      deviceId: c.deviceId,
+      deviceName: c.action.device.name,
+      manufacturerName: c.action.device.manufacturer.name,
+      type: c.type,
+      oldPrice: centsToEuros(c.oldPriceCents),
+      newPrice: centsToEuros(c.newPriceCents),
+      difference: centsToEuros(c.differenceCents),
+      percent: c.percent,
+    }));
+
+    console.log(
+      `   ${rows.length} price rows → ${series.length} buckets, ${movers.length} movers`
+    );
+    res.json({
+      interval,
+      from: series[0]?.start || from,
+      to: toDay,
+      filters: {
+        manufacturerId: parseInt(req.query.manufacturerId) || null,
+        deviceId: parseInt(req.query.deviceId) || null,
+        category: req.query.category || req.query.categoryId || null,
+        actionId: parseInt(req.query.actionId) || null,
+      },
+      change,
+      series,
+      movers: {
+        crawlRun: lastRun && {
+          id: lastRun.id,
+          startedAt: lastRun.startedAt,
+          finishedAt: lastRun.finishedAt,
+        },
+        items: movers,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch price trends' });
+  }
+});
+
+// =================================
+// Crawl status
+// =================================
+
+// Add derived duration to a crawl run
+const formatCrawlRun = (run) => ({
+  ...run,
+  durationMs: run.finishedAt
+    ? new Date(run.finishedAt) - new Date(run.startedAt)
+    : Date.now() - new Date(run.startedAt),
+});
+
+// List recent crawl runs
+app.get('/api/crawl/runs', requireAdmin, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const status = req.query.status;
+  console.log(`🕷️ GET crawl runs (limit ${limit})`);
+
+  try {
+    const runs = await prisma.crawlRun.findMany({
+      where: status ? { status } : {},
+      orderBy: { startedAt: 'desc' },
+      take: limit,
+    });
+
+    console.log(`   Found ${runs.length} crawl runs`);
+    res.json(runs.map(formatCrawlRun));
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch crawl runs' });
+  }
+});
+
+// Get a single crawl run with its change log
+app.get('/api/crawl/runs/:id', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  console.log(`🕷️ GET crawl run ${req.params.id}`);
+
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid crawl run ID' });
+  }
+
+  try {
+    const run = await prisma.crawlRun.findUnique({
+      where: { id },
+      include: {
+        changes: {
+          orderBy: { id: 'asc' },
+          include: {
+            device: { include: { manufacturer: true } },
+            action: true,
+          },
+        },
+      },
+    });
+
+    if (!run) {
+      return res.status(404).json({ error: 'Crawl run not found' });
+    }
+
+    res.json({
+      ...formatCrawlRun(run),
+      changes: run.changes.map((change) => ({
+        type: change.type,
+        manufacturerName: change.device.manufacturer.name,
+        deviceId: change.deviceId,
+        deviceName: change.device.name,
+        actionId: change.actionId,
+        actionName: change.action?.name || null,
+        oldPrice: centsToEuros(change.oldPriceCents),
+        newPrice: centsToEuros(change.newPriceCents),
+      })),
+    });
+  } catch (error) {
+    console.error('❌ Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch crawl run' });
+  }
+});
+
+// Built-in crawl scheduler - CRAWL_SCHEDULE="0 3 * * *" enables nightly crawls
+const crawlScheduler = createCrawlScheduler({
+  schedule: process.env.CRAWL_SCHEDULE || null,
+});
+
+// Optional price history retention - PRICE_RETENTION_SCHEDULE="30 4 * * 0" prunes weekly
+const retentionSchedule = process.env.PRICE_RETENTION_SCHEDULE || null;
+let retentionRunning = false;
+
+async function runPriceRetention() {
+  if (retentionRunning || crawlScheduler.getStatus().running) {
+    console.warn('⚠️ Skipping price retention: crawl or retention running');
+    return;
+  }
+
+  retentionRunning = true;
+  try {
+    await prunePriceHistory(prisma, {
+      days: parseInt(process.env.PRICE_RETENTION_DAYS) || 90,
+      bucket: process.env.PRICE_RETENTION_BUCKET || 'day',
+    });
+  } catch (error) {
+    console.error('❌ Price retention failed:', error.message);
+  } finally {
+    retentionRunning = false;
+  }
+}
+
+const retentionTimer =
+  retentionSchedule &&
+  createCronTimer(parseCron(retentionSchedule), runPriceRetention);
+
+// Scheduler and current crawl state
+app.get('/api/crawl/status', requireAdmin, (req, res) => {
+  res.json(crawlScheduler.getStatus());
+});
+
+// Start a crawl manually (body: { manufacturer, device, resume, source })
+app.post('/api/crawl/trigger', requireAdmin, (req, res) => {
+  const { manufacturer, device, resume, source } = req.body || {};
+  const options = Object.fromEntries(
+    Object.entries({ manufacturer, device, resume, source }).filter(
+      ([, value]) => value
+    )
+  );
+
+  const result = crawlScheduler.trigger(options, 'manual');
+  if (!result.started) {
+    return res.status(409).json({
+      error: result.reason,
+      status: crawlScheduler.getStatus(),
+    });
+  }
+
+  res.status(202).json(result.status);
+});
+
+// Cancel the running crawl - it stops after the current action
+app.post('/api/crawl/cancel', requireAdmin, (req, res) => {
+  if (!crawlScheduler.cancel()) {
+    return res.status(409).json({ error: 'No crawl running' });
+  }
+
+  res.status(202).json(crawlScheduler.getStatus());
+});
+
+// =================================
+// ADMIN - Catalog management and price overrides
+// =================================
+
+app.use('/api/admin', requireAdmin);
+
+// Catalog edits show up in search and the catalog snapshot right away
+app.use('/api/admin', (req, res, next) => {
+  if (req.method !== 'GET') {
+    invalidateSearchIndex();
+    invalidateCatalog();
+    invalidatePricingRules();
+  }
+  next();
+});
+
+const MAX_NAME_LENGTH = 200;
+
+// Trimmed, non-empty name or null
+function parseName(value) {
+  if (typeof value !== 'string') return null;
+  const name = value.trim();
+  return name && name.length <= MAX_NAME_LENGTH ? name : null;
+}
+
+// Map Prisma errors to HTTP responses for admin writes
+function handleAdminError(res, error, action) {
+  if (error.code === 'P2025') {
+    return res.status(404).json({ error: 'Record not found' });
+  }
+  if (error.code === 'P2002') {
+    return res.status(409).json({ error: 'Record already exists' });
+  }
+  if (error.code === 'P2003') {
+    return res.status(400).json({ error: 'Referenced record does not exist' });
+  }
+
+  console.error('❌ Database error:', error);
+  res.status(500).json({ error: `Failed to ${action}` });
+}
+
+// Refuse deletes while records still depend on the row
+const dependentsConflict = (res, counts) => {
+  const blocking = Object.entries(counts).filter(([, count]) => count > 0);
+  if (blocking.length === 0) return false;
+
+  res.status(409).json({
+    error: 'Record is still referenced',
+    dependents: Object.fromEntries(blocking),
+  });
+  return true;
+};
+
+// Create manufacturer
+app.post('/api/admin/manufacturers', async (req, res) => {
+  const name = parseName(req.body?.name);
+  if (!name) return res.status(400).json({ error: 'name is required' });
+
+  try {
+    const manufacturer = await prisma.manufacturer.create({ data: { name } });
+    console.log(`🛠️ ${req.user.username} created manufacturer ${name}`);
+    res.status(201).json(manufacturer);
+  } catch (error) {
+    handleAdminError(res, error, 'create manufacturer');
+  }
+});
+
+// Rename manufacturer
+app.patch('/api/admin/manufacturers/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const name = parseName(req.body?.name);
+  if (!name) return res.status(400).json({ error: 'name is required' });
+
+  try {
+    const manufacturer = await prisma.manufacturer.update({
+      where: { id },
+      data: { name },
+    });
+    res.json(manufacturer);
+  } catch (error) {
+    handleAdminError(res, error, 'update manufacturer');
+  }
+});
+
+// Delete manufacturer - only once no devices or pricing rules use it
+app.delete('/api/admin/manufacturers/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  try {
+    const [devices, pricingRules] = await Promise.all([
+      prisma.device.count({ where: { manufacturerId: id } }),
+      prisma.pricingRule.count({ where: { manufacturerId: id } }),
+    ]);
+    if (dependentsConflict(res, { devices, pricingRules })) return;
+
+    await prisma.manufacturer.delete({ where: { id } });
+    console.log(`🗑️ ${req.user.username} deleted manufacturer ${id}`);
+    res.status(204).end();
+  } catch (error) {
+    handleAdminError(res, error, 'delete manufacturer');
+  }
+});
+
+// Create device
+app.post('/api/admin/devices', async (req, res) => {
+  const name = parseName(req.body?.name);
+  const manufacturerId = parseInt(req.body?.manufacturerId);
+
+  if (!name || !manufacturerId) {
+    return res
+      .status(400)
+      .json({ error: 'name and manufacturerId are required' });
+  }
+
+  try {
+    const device = await prisma.device.create({
+      data: { name, manufacturerId },
+    });
+    console.log(`🛠️ ${req.user.username} created device ${name}`);
+    res.status(201).json(device);
+  } catch (error) {
+    handleAdminError(res, error, 'create device');
+  }
+});
+
+// Rename device or move it to another manufacturer
+app.patch('/api/admin/devices/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const data = {};
+
+  if (req.body?.name !== undefined) {
+    data.name = parseName(req.body.name);
+    if (!data.name) return res.status(400).json({ error: 'Invalid name' });
+  }
+  if (req.body?.manufacturerId !== undefined) {
+    data.manufacturerId = parseInt(req.body.manufacturerId);
+    if (!data.manufacturerId) {
+      return res.status(400).json({ error: 'Invalid manufacturerId' });
+    }
+  }
+  if (Object.keys(data).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  try {
+    const device = await prisma.device.update({ where: { id }, data });
+    res.json(device);
+  } catch (error) {
+    handleAdminError(res, error, 'update device');
+  }
+});
+
+// Delete device - crawl data goes with it, customer records and pricing
+// rules block the delete
+app.delete('/api/admin/devices/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  try {
+    const [actions, appointments, buybackRequests, pricingRules] =
+      await Promise.all([
+        prisma.action.count({ where: { deviceId: id } }),
+        prisma.appointment.count({ where: { deviceId: id } }),
+        prisma.buybackRequest.count({ where: { deviceId: id } }),
+        prisma.pricingRule.count({ where: { deviceId: id } }),
+      ]);
+    if (
+      dependentsConflict(res, {
+        actions,
+        appointments,
+        buybackRequests,
+        pricingRules,
+      })
+    ) {
+      return;
+    }
+
+    await prisma.$transaction([
+      prisma.priceChange.deleteMany({ where: { deviceId: id } }),
+      prisma.buybackPrice.deleteMany({ where: { deviceId: id } }),
+      prisma.device.delete({ where: { id } }),
+    ]);
+    console.log(`🗑️ ${req.user.username} deleted device ${id}`);
+    res.status(204).end();
+  } catch (error) {
+    handleAdminError(res, error, 'delete device');
+  }
+});
+
+// Create action (repair type) for a device
+app.post('/api/admin/actions', async (req, res) => {
+  const name = parseName(req.body?.name);
+  const deviceId = parseInt(req.body?.deviceId);
+
+  if (!name || !deviceId) {
+    return res.status(400).json({ error: 'name and deviceId are required' });
+  }
+
+  try {
+    // No unique constraint on name + device - check explicitly
+    const existing = await prisma.action.findFirst({
+      where: { name, deviceId },
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'Record already exists' });
+    }
+
+    // Explicit categoryId (or null) wins, otherwise categorize by name
+    const categoryId =
+      req.body.categoryId !== undefined
+        ? parseInt(req.body.categoryId) || null
+        : (await loadCategorizer(prisma))(name)?.id || null;
+
+    const action = await prisma.action.create({
+      data: { name, deviceId, categoryId },
+    });
+    console.log(`🛠️ ${req.user.username} created action ${name}`);
+    res.status(201).json(action);
+  } catch (error) {
+    handleAdminError(res, error, 'create action');
+  }
+});
+
+// Rename action or change its category (categoryId: null clears it)
+app.patch('/api/admin/actions/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const data = {};
+
+  if (req.body?.name !== undefined) {
+    data.name = parseName(req.body.name);
+    if (!data.name) return res.status(400).json({ error: 'Invalid name' });
+  }
+  if (req.body?.categoryId !== undefined) {
+    data.categoryId =
+      req.body.categoryId === null ? null : parseInt(req.body.categoryId);
+    if (Number.isNaN(data.categoryId)) {
+      return res.status(400).json({ error: 'Invalid categoryId' });
+    }
+  }
+  if (req.body?.labourMinutes !== undefined) {
+    data.labourMinutes =
+      req.body.labourMinutes === null ? null : Number(req.body.labourMinutes);
+    if (
+      data.labourMinutes !== null &&
+      !(Number.isInteger(data.labourMinutes) && data.labourMinutes >= 0)
+    ) {
+      return res.status(400).json({ error: 'Invalid labourMinutes' });
+    }
+  }
+  if (Object.keys(data).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  try {
+    const action = await prisma.action.update({ where: { id }, data });
+    res.json(action);
+  } catch (error) {
+    handleAdminError(res, error, 'update action');
+  }
+});
+
+// Delete action with its price history - booked appointments block the delete
+app.delete('/api/admin/actions/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  try {
+    const appointments = await prisma.appointment.count({
+      where: { actionId: id },
+    });
+    if (dependentsConflict(res, { appointments })) return;
+
+    await prisma.$transaction([
+      prisma.price.deleteMany({ where: { actionId: id } }),
+      prisma.priceChange.deleteMany({ where: { actionId: id } }),
+      prisma.action.delete({ where: { id } }),
+    ]);
+    console.log(`🗑️ ${req.user.username} deleted action ${id}`);
+    res.status(204).end();
+  } catch (error) {
+    handleAdminError(res, error, 'delete action');
+  }
+});
+
+const actionPartsInclude = {
+  parts: {
+    include: { uniqueDevice: true },
+    orderBy: { uniqueDevice: { artikelBezeichnung: 'asc' } },
+  },
+};
+
+// Action with its parts list in API shape
+const formatActionParts = (action) => ({
+  actionId: action.id,
+  actionName: action.name,
+  labourMinutes: action.labourMinutes,
+  parts: action.parts.map(({ uniqueDevice, quantity }) => ({
+    uniqueDeviceId: uniqueDevice.id,
+    artikelNummer: uniqueDevice.artikelNummer,
+    artikelBezeichnung: uniqueDevice.artikelBezeichnung,
+    einkaufsPreis: uniqueDevice.einkaufsPreis,
+    quantity,
+  })),
+});
+
+// Validate a parts list - [{ uniqueDeviceId, quantity = 1 }]
+function parseActionParts(parts) {
+  if (!Array.isArray(parts)) return { error: 'parts must be an array' };
+
+  const rows = [];
+  for (const part of parts) {
+    const uniqueDeviceId = parseInt(part?.uniqueDeviceId);
+    const quantity = part?.quantity === undefined ? 1 : Number(part.quantity);
+    if (!(uniqueDeviceId > 0)) return { error: 'Invalid uniqueDeviceId' };
+    if (!(Number.isInteger(quantity) && quantity > 0)) {
+      return { error: 'quantity must be a positive whole number' };
+    }
+    if (rows.some((row) => row.uniqueDeviceId === uniqueDeviceId)) {
+      return { error: `Part ${uniqueDeviceId} is listed twice` };
+    }
+    rows.push({ uniqueDeviceId, quantity });
+  }
+  return { rows };
+}
+
+// Parts list (bill of materials) and labour time of an action
+app.get('/api/admin/actions/:id/parts', async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  try {
+    const action = await prisma.action.findUnique({
+      where: { id },
+      include: actionPartsInclude,
+    });
+    if (!action) return res.status(404).json({ error: 'Action not found' });
+    res.json(formatActionParts(action));
+  } catch (error) {
+    handleAdminError(res, error, 'fetch action parts');
+  }
+});
+
+// Replace the parts list of an action - { parts: [{ uniqueDeviceId, quantity }] }
+app.put('/api/admin/actions/:id/parts', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const { rows, error } = parseActionParts(req.body?.parts);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const action = await prisma.$transaction(async (tx) => {
+      await tx.actionPart.deleteMany({ where: { actionId: id } });
+      await tx.actionPart.createMany({
+        data: rows.map((row) => ({ ...row, actionId: id })),
+      });
+      return tx.action.findUniqueOrThrow({
+        where: { id },
+        include: actionPartsInclude,
+      });
+    });
+    console.log(
+      `🔩 ${req.user.username} set ${rows.length} parts for action ${id}`
+    );
+    res.json(formatActionParts(action));
+  } catch (error) {
+    handleAdminError(res, error, 'update action parts');
+  }
+});
+
+// Categorize actions by keyword (?all=true also re-checks categorized ones)
+app.post('/api/admin/categories/assign', async (req, res) => {
+  try {
+    const result = await assignCategories(prisma, {
+      all: req.query.all === 'true',
+    });
+    console.log(`🗂️ ${req.user.username} assigned categories`, result);
+    res.json(result);
+  } catch (error) {
+    handleAdminError(res, error, 'assign categories');
+  }
+});
+
+// Validate a merge body { duplicateIds: [..] }
+function parseDuplicateIds(body = {}, canonicalId) {
+  const ids = Array.isArray(body.duplicateIds)
+    ? body.duplicateIds.map((id) => parseInt(id))
+    : [];
+  if (ids.length === 0 || ids.some((id) => !id)) return null;
+  return [...new Set(ids)].filter((id) => id !== canonicalId);
+}
+
+// Merge duplicate devices into :id - actions, prices and bookings move over
+app.post('/api/admin/devices/:id/merge', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const duplicateIds = parseDuplicateIds(req.body, id);
+
+  if (!duplicateIds?.length) {
+    return res.status(400).json({ error: 'duplicateIds are required' });
+  }
+
+  try {
+    const [canonical, duplicates] = await Promise.all([
+      prisma.device.findUnique({ where: { id } }),
+      prisma.device.findMany({ where: { id: { in: duplicateIds } } }),
+    ]);
+
+    if (!canonical || duplicates.length !== duplicateIds.length) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+    if (duplicates.some((d) => d.manufacturerId !== canonical.manufacturerId)) {
+      return res
+        .status(400)
+        .json({ error: 'Only devices of the same manufacturer can be merged' });
+    }
+
+    // Moving many actions and prices outlasts Prisma's 5 s default
+    const moved = await prisma.$transaction(
+      (tx) => mergeDevices(tx, id, duplicateIds),
+      { timeout: 60000 }
+    );
+    console.log(
+      `🔀 ${req.user.username} merged devices ${duplicateIds} into ${id}`,
+      moved
+    );
+    res.json({ deviceId: id, merged: duplicateIds, moved });
+  } catch (error) {
+    handleAdminError(res, error, 'merge devices');
+  }
+});
+
+// Merge duplicate actions of the same device into :id
+app.post('/api/admin/actions/:id/merge', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const duplicateIds = parseDuplicateIds(req.body, id);
+
+  if (!duplicateIds?.length) {
+    return res.status(400).json({ error: 'duplicateIds are required' });
+  }
+
+  try {
+    const [canonical, duplicates] = await Promise.all([
+      prisma.action.findUnique({ where: { id } }),
+      prisma.action.findMany({ where: { id: { in: duplicateIds } } }),
+    ]);
+
+    if (!canonical || duplicates.length !== duplicateIds.length) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+    if (duplicates.some((d) => d.deviceId !== canonical.deviceId)) {
+      return res
+        .status(400)
+        .json({ error: 'Only actions of the same device can be merged' });
+    }
+
+    const moved = await prisma.$transaction(
+      (tx) => mergeActions(tx, id, duplicateIds),
+      { timeout: 60000 }
+    );
+    console.log(
+      `🔀 ${req.user.username} merged actions ${duplicateIds} into ${id}`,
+      moved
+    );
+    res.json({ actionId: id, merged: duplicateIds, moved });
+  } catch (error) {
+    handleAdminError(res, error, 'merge actions');
+  }
+});
+
+// List device and action aliases
+app.get('/api/admin/aliases', async (req, res) => {
+  try {
+    const [devices, actions] = await Promise.all([
+      prisma.deviceAlias.findMany({
+        include: { device: true, manufacturer: true },
+        orderBy: { name: 'asc' },
+      }),
+      prisma.actionAlias.findMany({ orderBy: { name: 'asc' } }),
+    ]);
+
+    res.json({
+      devices: devices.map((alias) => ({
+        id: alias.id,
+        name: alias.name,
+        manufacturerId: alias.manufacturerId,
+        manufacturerName: alias.manufacturer.name,
+        deviceId: alias.deviceId,
+        deviceName: alias.device.name,
+      })),
+      actions: actions.map((alias) => ({
+        id: alias.id,
+        name: alias.name,
+        canonicalName: alias.canonicalName,
+      })),
+    });
+  } catch (error) {
+    handleAdminError(res, error, 'fetch aliases');
+  }
+});
+
+// Add a device alias (body: { name, deviceId, manufacturerId? })
+app.post('/api/admin/aliases/devices', async (req, res) => {
+  const name = parseName(req.body?.name);
+  const deviceId = parseInt(req.body?.deviceId);
+
+  if (!name || !deviceId) {
+    return res.status(400).json({ error: 'name and deviceId are required' });
+  }
+
+  try {
+    const device = await prisma.device.findUnique({ where: { id: deviceId } });
+    if (!device) return res.status(404).json({ error: 'Device not found' });
+
+    // The manufacturer the alias appears under - defaults to the device's own
+    const manufacturerId =
+      parseInt(req.body.manufacturerId) || device.manufacturerId;
+    const manufacturer = await prisma.manufacturer.findUnique({
+      where: { id: manufacturerId },
+    });
+    if (!manufacturer) {
+      return res.status(404).json({ error: 'Manufacturer not found' });
+    }
+
+    const alias = await prisma.deviceAlias.create({
+      data: {
+        name,
+        key: deviceKey(name, manufacturer.name),
+        manufacturerId,
+        deviceId,
+      },
+    });
+    res.status(201).json(alias);
+  } catch (error) {
+    handleAdminError(res, error, 'create device alias');
+  }
+});
+
+// Add an action alias (body: { name, canonicalName })
+app.post('/api/admin/aliases/actions', async (req, res) => {
+  const name = parseName(req.body?.name);
+  const canonicalName = parseName(req.body?.canonicalName);
+
+  if (!name || !canonicalName) {
+    return res
+      .status(400)
+      .json({ error: 'name and canonicalName are required' });
+  }
+  if (normalizeName(name) === normalizeName(canonicalName)) {
+    return res
+      .status(400)
+      .json({ error: 'Alias and canonical name are the same' });
+  }
+
+  try {
+    const alias = await prisma.actionAlias.create({
+      data: { name, key: normalizeName(name), canonicalName },
+    });
+    res.status(201).json(alias);
+  } catch (error) {
+    handleAdminError(res, error, 'create action alias');
+  }
+});
+
+// Remove an alias
+app.delete('/api/admin/aliases/:type/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const models = { devices: prisma.deviceAlias, actions: prisma.actionAlias };
+  const model = models[req.params.type];
+
+  if (!model) return res.status(404).json({ error: 'Unknown alias type' });
+
+  try {
+    await model.delete({ where: { id } });
+    res.status(204).end();
+  } catch (error) {
+    handleAdminError(res, error, 'delete alias');
+  }
+});
+
+// Validate override fields - `partial` allows omitting fields on update
+function parseOverride(body = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || body.actionId !== undefined) {
+    data.actionId = parseInt(body.actionId);
+    if (!data.actionId) return { error: 'actionId is required' };
+  }
+  if (!partial || body.price !== undefined) {
+    data.price = Number(body.price);
+    if (!Number.isInteger(data.price) || data.price < 0) {
+      return { error: 'price must be a whole number of euros' };
+    }
+  }
+
+  for (const field of ['validFrom', 'validUntil']) {
+    if (body[field] === undefined) continue;
+    data[field] = body[field] === null ? null : new Date(body[field]);
+    if (data[field] && isNaN(data[field])) {
+      return { error: `Invalid ${field}` };
+    }
+  }
+  if (data.validFrom && data.validUntil && data.validFrom >= data.validUntil) {
+    return { error: 'validUntil must be after validFrom' };
+  }
+
+  if (body.note !== undefined) {
+    data.note = body.note ? String(body.note).trim() : null;
+  }
+
+  return { data };
+}
+
+// List overrides (?actionId, ?deviceId, ?active=true)
+app.get('/api/admin/price-overrides', async (req, res) => {
+  const actionId = parseInt(req.query.actionId);
+  const deviceId = parseInt(req.query.deviceId);
+
+  try {
+    const overrides = await prisma.priceOverride.findMany({
+      where: {
+        ...(actionId && { actionId }),
+        ...(deviceId && { action: { deviceId } }),
+        ...(req.query.active === 'true' && activeOverrideWhere()),
+      },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        action: { include: { device: true } },
+        createdBy: { select: { id: true, username: true } },
+      },
+    });
+
+    res.json(
+      overrides.map((override) => ({
+        ...formatOverride(override),
+        actionId: override.actionId,
+        actionName: override.action.name,
+        deviceId: override.action.deviceId,
+        deviceName: override.action.device.name,
+        createdBy: override.createdBy,
+        createdAt: override.createdAt,
+      }))
+    );
+  } catch (error) {
+    handleAdminError(res, error, 'fetch price overrides');
+  }
+});
+
+// Create override
+app.post('/api/admin/price-overrides', async (req, res) => {
+  const { data, error } = parseOverride(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const override = await prisma.priceOverride.create({
+      data: { ...data, createdById: req.user.id },
+    });
+    console.log(
+      `🏷️ ${req.user.username} set override ${override.price} € for action ${override.actionId}`
+    );
+    res.status(201).json(override);
+  } catch (error) {
+    handleAdminError(res, error, 'create price override');
+  }
+});
+
+// Update override (price, window or note)
+app.patch('/api/admin/price-overrides/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const { data, error } = parseOverride(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    // Check the window against stored values when only one side changes
+    const current = await prisma.priceOverride.findUnique({ where: { id } });
+    if (!current) return res.status(404).json({ error: 'Record not found' });
+
+    const validFrom =
+      data.validFrom !== undefined ? data.validFrom : current.validFrom;
+    const validUntil =
+      data.validUntil !== undefined ? data.validUntil : current.validUntil;
+    if (validFrom && validUntil && validFrom >= validUntil) {
+      return res
+        .status(400)
+        .json({ error: 'validUntil must be after validFrom' });
+    }
+
+    const override = await prisma.priceOverride.update({
+      where: { id },
+      data,
+    });
+    res.json(override);
+  } catch (error) {
+    handleAdminError(res, error, 'update price override');
+  }
+});
+
+// Delete override - the crawled price applies again
+app.delete('/api/admin/price-overrides/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  try {
+    await prisma.priceOverride.delete({ where: { id } });
+    console.log(`🗑️ ${req.user.username} deleted price override ${id}`);
+    res.status(204).end();
+  } catch (error) {
+    handleAdminError(res, error, 'delete price override');
+  }
+});
+
+// Quarantined prices (?status=pending|approved|rejected, ?reason, ?crawlRunId)
+// Anomalous crawled prices wait here instead of going live
+app.get('/api/admin/price-quarantine', async (req, res) => {
+  const status = req.query.status || 'pending';
+  const reason = req.query.reason;
+  const crawlRunId = parseInt(req.query.crawlRunId);
+
+  if (!QUARANTINE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `status must be one of: ${QUARANTINE_STATUSES.join(', ')}`,
+    });
+  }
+  if (reason && !ANOMALY_REASONS.includes(reason)) {
+    return res.status(400).json({
+      error: `reason must be one of: ${ANOMALY_REASONS.join(', ')}`,
+    });
+  }
+
+  try {
+    const entries = await prisma.quarantinedPrice.findMany({
+      where: {
+        status,
+        ...(reason && { reason }),
+        ...(crawlRunId && { crawlRunId }),
+      },
+      orderBy: { dateCollected: 'desc' },
+      take: 500,
+      include: {
+        action: {
+          include: {
+            device: { include: { manufacturer: true } },
+            currentPrice: true,
+          },
+        },
+        reviewedBy: { select: { id: true, username: true } },
+      },
+    });
+
+    res.json(
+      entries.map((entry) => ({
+        id: entry.id,
+        status: entry.status,
+        reason: entry.reason,
+        detail: entry.detail,
+        crawlRunId: entry.crawlRunId,
+        actionId: entry.actionId,
+        actionName: entry.action.name,
+        deviceId: entry.action.deviceId,
+        deviceName: entry.action.device.name,
+        manufacturer: entry.action.device.manufacturer.name,
+        ...priceFields(entry),
+        priceText: entry.priceText,
+        previousPrice: centsToEuros(entry.previousPriceCents),
+        livePrice: entry.action.currentPrice
+          ? priceFields(entry.action.currentPrice)
+          : null,
+        dateCollected: entry.dateCollected,
+        reviewedBy: entry.reviewedBy,
+        reviewedAt: entry.reviewedAt,
+      }))
+    );
+  } catch (error) {
+    handleAdminError(res, error, 'fetch quarantined prices');
+  }
+});
+
+// Settle a quarantined price - shared by approve and reject
+async function reviewQuarantine(req, res, status) {
+  const id = parseInt(req.params.id);
 
+  try {
+    const result = await prisma.$transaction((tx) =>
+      reviewQuarantinedPrice(tx, id, status, req.user.id)
+    );
+    if (!result) {
+      return res.status(409).json({ error: 'Price was already reviewed' });
+    }
+
+    console.log(
+      `🔍 ${req.user.username} ${status} quarantined price ${id} for action ${result.entry.actionId}`
+    );
     res.json({
-      counts: {
-        manufacturers: manufacturerCount,
-        devices: deviceCount,
-        actions: actionCount,
-        prices: priceCount,
-        uniqueManufacturers: uniqueManufacturerCount,
-        uniqueDevices: uniqueDeviceCount,
-        uniqueActions: uniqueActionCount,
-      },
-      priceRange: {
-        min: priceRange._min.price,
-        max: priceRange._max.price,
-        avg: Math.round(priceRange._avg.price),
+      ...result.entry,
+      ...priceFields(result.entry),
+      priceId: result.price?.id ?? null,
+    });
+  } catch (error) {
+    handleAdminError(res, error, 'review quarantined price');
+  }
+}
+
+// Approve - the price goes live unless something newer was crawled since
+app.post('/api/admin/price-quarantine/:id/approve', (req, res) =>
+  reviewQuarantine(req, res, 'approved')
+);
+
+// Reject - the price never goes live
+app.post('/api/admin/price-quarantine/:id/reject', (req, res) =>
+  reviewQuarantine(req, res, 'rejected')
+);
+
+const PRICE_SOURCE_KINDS = ['competitor', 'own'];
+
+// Validate price source fields - `partial` allows omitting fields on update
+function parsePriceSource(body = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || body.key !== undefined) {
+    data.key = parseName(body.key);
+    if (!data.key) return { error: 'key is required' };
+  }
+  if (!partial || body.name !== undefined) {
+    data.name = parseName(body.name);
+    if (!data.name) return { error: 'name is required' };
+  }
+  if (body.url !== undefined) {
+    data.url = body.url ? String(body.url).trim() : null;
+  }
+  if (body.kind !== undefined) {
+    if (!PRICE_SOURCE_KINDS.includes(body.kind)) {
+      return { error: `kind must be one of: ${PRICE_SOURCE_KINDS.join(', ')}` };
+    }
+    data.kind = body.kind;
+  }
+  if (body.primary !== undefined && body.primary !== true) {
+    return { error: 'primary can only be set - make another source primary' };
+  }
+
+  return { data, primary: body.primary === true };
+}
+
+// Make one source primary - current prices (and shop prices) switch over to it
+async function setPrimarySource(id) {
+  await prisma.$transaction([
+    prisma.priceSource.updateMany({
+      where: { primary: true, id: { not: id } },
+      data: { primary: false },
+    }),
+    prisma.priceSource.update({ where: { id }, data: { primary: true } }),
+  ]);
+  const projected = await rebuildCurrentPrices(prisma);
+  console.log(
+    `🔁 Primary price source is now ${id}, ${projected} current prices`
+  );
+}
+
+// List price sources with their number of stored prices
+app.get('/api/admin/price-sources', async (req, res) => {
+  try {
+    const sources = await prisma.priceSource.findMany({
+      orderBy: [{ primary: 'desc' }, { name: 'asc' }],
+      include: { _count: { select: { prices: true } } },
+    });
+    res.json(
+      sources.map(({ _count, ...source }) => ({
+        ...source,
+        prices: _count.prices,
+      }))
+    );
+  } catch (error) {
+    handleAdminError(res, error, 'fetch price sources');
+  }
+});
+
+// Create price source - `key` is the crawler source name prices are written under
+app.post('/api/admin/price-sources', async (req, res) => {
+  const { data, primary, error } = parsePriceSource(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const source = await prisma.priceSource.create({ data });
+    if (primary) await setPrimarySource(source.id);
+    console.log(`🏪 ${req.user.username} added price source ${source.key}`);
+    res.status(201).json({ ...source, primary: primary || source.primary });
+  } catch (error) {
+    handleAdminError(res, error, 'create price source');
+  }
+});
+
+// Update price source - { primary: true } switches the primary source
+app.patch('/api/admin/price-sources/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const { data, primary, error } = parsePriceSource(req.body, {
+    partial: true,
+  });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    let source = await prisma.priceSource.update({ where: { id }, data });
+    if (primary && !source.primary) {
+      await setPrimarySource(id);
+      source = { ...source, primary: true };
+    }
+    res.json(source);
+  } catch (error) {
+    handleAdminError(res, error, 'update price source');
+  }
+});
+
+// Latest price per source next to the shop price - where we stand against
+// competitors (admin only - competitor prices are not for customers)
+app.get(
+  '/api/action/:actionId/price-comparison',
+  requireAdmin,
+  async (req, res) => {
+    const actionId = parseInt(req.params.actionId);
+    console.log(`⚖️ GET price comparison for action ${actionId}`);
+
+    try {
+      const [action, sources, overrides, pricer] = await Promise.all([
+        prisma.action.findUnique({
+          where: { id: actionId },
+          include: {
+            currentPrice: true,
+            device: { include: { manufacturer: true } },
+          },
+        }),
+        prisma.priceSource.findMany({ orderBy: { name: 'asc' } }),
+        getActiveOverrides({ actionId }),
+        getPricer(),
+      ]);
+
+      if (!action) {
+        return res.status(404).json({ error: 'Action not found' });
+      }
+
+      const override = overrides.get(actionId);
+      const rule = override
+        ? null
+        : pricer.ruleFor(
+            pricingTarget(action, action.device.manufacturerId),
+            action.currentPrice
+          );
+      const shop = {
+        ...effectivePriceFields(action.currentPrice, override, rule),
+        source: priceSource(override, rule),
+      };
+
+      // One indexed lookup per source - there are only a handful
+      const latest = await Promise.all(
+        sources.map((source) => latestPrice(prisma, actionId, source))
+      );
+
+      const compared = sources
+        .map((source, index) => ({ source, row: latest[index] }))
+        .filter(({ row }) => row)
+        .map(({ source, row }) => {
+          const fields = priceFields(row);
+          return {
+            sourceId: source.id,
+            key: source.key,
+            name: source.name,
+            kind: source.kind,
+            primary: source.primary,
+            ...fields,
+            priceText: row.priceText,
+            dateCollected: row.dateCollected,
+            difference:
+              fields.price !== null && shop.price !== null
+                ? Math.round((shop.price - fields.price) * 100) / 100
+                : null,
+          };
+        });
+
+      // Rank among competitors with an amount - 1 = cheapest
+      const competitorPrices = compared
+        .filter((c) => c.kind === 'competitor' && c.price !== null)
+        .map((c) => c.price);
+      const cheaper = competitorPrices.filter((p) => p < shop.price).length;
+      const position =
+        shop.price !== null && competitorPrices.length > 0
+          ? {
+              competitors: competitorPrices.length,
+              cheaper,
+              moreExpensive: competitorPrices.filter((p) => p > shop.price)
+                .length,
+              rank: cheaper + 1,
+              lowest: Math.min(...competitorPrices),
+              highest: Math.max(...competitorPrices),
+            }
+          : null;
+
+      res.json({
+        actionId: action.id,
+        actionName: action.name,
+        deviceId: action.deviceId,
+        deviceName: action.device.name,
+        manufacturerName: action.device.manufacturer.name,
+        shop,
+        sources: compared,
+        position,
+      });
+    } catch (error) {
+      handleAdminError(res, error, 'fetch price comparison');
+    }
+  }
+);
+
+// Amounts in euros (API) ↔ cents (PricingRule)
+const PRICING_RULE_AMOUNTS = {
+  markup: 'markupCents',
+  floor: 'floorCents',
+  ceiling: 'ceilingCents',
+};
+
+// Validate pricing rule fields - `partial` allows omitting fields on update
+function parsePricingRule(body = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    data.name = parseName(body.name);
+    if (!data.name) return { error: 'name is required' };
+  }
+
+  for (const field of ['manufacturerId', 'categoryId', 'deviceId']) {
+    if (body[field] === undefined) continue;
+    data[field] = body[field] === null ? null : parseInt(body[field]);
+    if (data[field] !== null && !(data[field] > 0)) {
+      return { error: `Invalid ${field}` };
+    }
+  }
+
+  if (body.markupPercent !== undefined) {
+    data.markupPercent = Number(body.markupPercent);
+    if (!Number.isFinite(data.markupPercent) || data.markupPercent <= -100) {
+      return { error: 'markupPercent must be a number above -100' };
+    }
+  }
+  for (const [field, column] of Object.entries(PRICING_RULE_AMOUNTS)) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null && field !== 'markup') {
+      data[column] = null;
+      continue;
+    }
+    const euros = Number(body[field]);
+    if (!Number.isFinite(euros) || (field !== 'markup' && euros < 0)) {
+      return { error: `${field} must be an amount in euros` };
+    }
+    data[column] = Math.round(euros * 100);
+  }
+
+  if (body.priority !== undefined) {
+    data.priority = Number(body.priority);
+    if (!Number.isInteger(data.priority)) {
+      return { error: 'priority must be a whole number' };
+    }
+  }
+  for (const field of ['roundToNine', 'active']) {
+    if (body[field] !== undefined) data[field] = Boolean(body[field]);
+  }
+
+  for (const field of ['validFrom', 'validUntil']) {
+    if (body[field] === undefined) continue;
+    data[field] = body[field] === null ? null : new Date(body[field]);
+    if (data[field] && isNaN(data[field])) {
+      return { error: `Invalid ${field}` };
+    }
+  }
+
+  if (body.note !== undefined) {
+    data.note = body.note ? String(body.note).trim() : null;
+  }
+
+  return { data };
+}
+
+// Checks across fields - run on the merged rule so partial updates are covered too
+function pricingRuleConflict(rule) {
+  if (rule.validFrom && rule.validUntil && rule.validFrom >= rule.validUntil) {
+    return 'validUntil must be after validFrom';
+  }
+  if (
+    rule.floorCents != null &&
+    rule.ceilingCents != null &&
+    rule.floorCents > rule.ceilingCents
+  ) {
+    return 'floor must not be above ceiling';
+  }
+  return null;
+}
+
+// Column defaults for a rule that isn't stored yet (dry runs)
+const NEW_PRICING_RULE = {
+  manufacturerId: null,
+  categoryId: null,
+  deviceId: null,
+  markupPercent: 0,
+  markupCents: 0,
+  roundToNine: false,
+  floorCents: null,
+  ceilingCents: null,
+  priority: 0,
+  validFrom: null,
+  validUntil: null,
+  active: true,
+};
+
+// Pricing rule in API shape - amounts in euros
+const formatPricingRule = ({
+  markupCents,
+  floorCents,
+  ceilingCents,
+  ...rule
+}) => ({
+  ...rule,
+  markup: centsToEuros(markupCents),
+  floor: centsToEuros(floorCents),
+  ceiling: centsToEuros(ceilingCents),
+});
+
+// List pricing rules (?active=true) in evaluation order
+app.get('/api/admin/pricing-rules', async (req, res) => {
+  try {
+    const rules = await prisma.pricingRule.findMany({
+      where: req.query.active === 'true' ? { active: true } : {},
+      include: {
+        manufacturer: true,
+        category: true,
+        device: true,
+        createdBy: { select: { id: true, username: true } },
       },
-      latestPrices: latestPrices.map((p) => ({
-        manufacturer: p.action.device.manufacturer.name,
-        device: p.action.device.name,
-        action: p.action.name,
-        price: p.price,
-        date: p.dateCollected,
-      })),
     });
+
+    res.json(
+      rules
+        .sort(compareRules)
+        .map(({ manufacturer, category, device, createdBy, ...rule }) => ({
+          ...formatPricingRule(rule),
+          live: isRuleLive(rule),
+          manufacturerName: manufacturer?.name || null,
+          categorySlug: category?.slug || null,
+          deviceName: device?.name || null,
+          createdBy,
+        }))
+    );
   } catch (error) {
-    console.error('❌ Database error:', error);
-    res.status(500).json({ error: 'Failed to fetch statistics' });
+    handleAdminError(res, error, 'fetch pricing rules');
   }
 });
 
-// Search endpoint
-app.get('/api/search', async (req, res) => {
-  const query = req.query.q?.toLowerCase();
-  console.log(`🔍 Search for: ${query}`);
+// Create pricing rule
+app.post('/api/admin/pricing-rules', async (req, res) => {
+  const { data, error } = parsePricingRule(req.body);
+  const conflict = error || pricingRuleConflict(data || {});
+  if (conflict) return res.status(400).json({ error: conflict });
 
-  if (!query || query.length < 2) {
-    return res
-      .status(400)
-      .json({ error: 'Query must be at least 2 characters' });
+  try {
+    const rule = await prisma.pricingRule.create({
+      data: { ...data, createdById: req.user.id },
+    });
+    console.log(`🧮 ${req.user.username} created pricing rule ${rule.name}`);
+    res.status(201).json(formatPricingRule(rule));
+  } catch (error) {
+    handleAdminError(res, error, 'create pricing rule');
   }
+});
+
+// Update pricing rule
+app.patch('/api/admin/pricing-rules/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const { data, error } = parsePricingRule(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
 
   try {
-    const [manufacturers, devices, actions] = await Promise.all([
-      prisma.manufacturer.findMany({
-        where: {
-          name: { contains: query, mode: 'insensitive' },
-        },
-        take: 5,
-      }),
-      prisma.device.findMany({
-        where: {
-          name: { contains: query, mode: 'insensitive' },
-        },
-        include: { manufacturer: true },
-        take: 10,
-      }),
+    const current = await prisma.pricingRule.findUnique({ where: { id } });
+    if (!current) return res.status(404).json({ error: 'Record not found' });
+
+    const conflict = pricingRuleConflict({ ...current, ...data });
+    if (conflict) return res.status(400).json({ error: conflict });
+
+    const rule = await prisma.pricingRule.update({ where: { id }, data });
+    res.json(formatPricingRule(rule));
+  } catch (error) {
+    handleAdminError(res, error, 'update pricing rule');
+  }
+});
+
+// Delete pricing rule
+app.delete('/api/admin/pricing-rules/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  try {
+    await prisma.pricingRule.delete({ where: { id } });
+    console.log(`🗑️ ${req.user.username} deleted pricing rule ${id}`);
+    res.status(204).end();
+  } catch (error) {
+    handleAdminError(res, error, 'delete pricing rule');
+  }
+});
+
+// Dry run - how a rule change would move every action's shop price
+// Body: rule fields for a new rule, { id, ...fields } for an update,
+// { id, delete: true } for a removal; `at` evaluates campaigns at that time,
+// `limit` caps the listed changes (biggest first, counts cover all)
+app.post('/api/admin/pricing-rules/preview', async (req, res) => {
+  const id = req.body?.id ? parseInt(req.body.id) : null;
+  const remove = req.body?.delete === true;
+  const limit = Math.min(parseInt(req.body?.limit) || 100, 1000);
+  const at = req.body?.at ? new Date(req.body.at) : new Date();
+
+  if (isNaN(at)) return res.status(400).json({ error: 'Invalid at' });
+  if (remove && !id) {
+    return res.status(400).json({ error: 'id is required to delete' });
+  }
+
+  const { data, error } = remove
+    ? { data: {} }
+    : parsePricingRule(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const stored = await prisma.pricingRule.findMany();
+    const current = id && stored.find((rule) => rule.id === id);
+    if (id && !current) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    // Unsaved rules sort as the newest
+    const proposed = remove
+      ? null
+      : {
+          ...NEW_PRICING_RULE,
+          id: Number.MAX_SAFE_INTEGER,
+          ...current,
+          ...data,
+        };
+    const conflict = proposed && pricingRuleConflict(proposed);
+    if (conflict) return res.status(400).json({ error: conflict });
+
+    const after = [
+      ...stored.filter((rule) => rule.id !== id),
+      ...(proposed ? [proposed] : []),
+    ];
+
+    const [actions, overrides] = await Promise.all([
       prisma.action.findMany({
-        where: {
-          name: { contains: query, mode: 'insensitive' },
-        },
+        where: { currentPrice: { is: { priceCents: { not: null } } } },
         include: {
+          currentPrice: true,
           device: { include: { manufacturer: true } },
         },
-        take: 10,
-        distinct: ['name'],
       }),
+      getActiveOverrides({}, prisma, at),
     ]);
 
+    // Overrides beat every rule - those actions can't move
+    const items = actions
+      .filter((action) => !overrides.has(action.id))
+      .map((action) => ({
+        target: pricingTarget(action, action.device.manufacturerId),
+        current: action.currentPrice,
+        actionId: action.id,
+        actionName: action.name,
+        deviceId: action.deviceId,
+        deviceName: action.device.name,
+        manufacturer: action.device.manufacturer.name,
+      }));
+
+    const changes = diffPricing(items, stored, after, at).sort(
+      (a, b) => Math.abs(b.differenceCents) - Math.abs(a.differenceCents)
+    );
+
     res.json({
-      manufacturers: manufacturers.map((m) => ({
-        id: m.id,
-        name: m.name,
-        type: 'manufacturer',
-      })),
-      devices: devices.map((d) => ({
+      at,
+      actions: actions.length,
+      overridden: actions.length - items.length,
+      affected: changes.length,
+      increased: changes.filter((c) => c.differenceCents > 0).length,
+      decreased: changes.filter((c) => c.differenceCents < 0).length,
+      totalDifference: centsToEuros(
+        changes.reduce((sum, c) => sum + c.differenceCents, 0)
+      ),
+      changes: changes
+        .slice(0, limit)
+        .map(
+          ({
+            current: source,
+            before,
+            after: next,
+            differenceCents,
+            ...change
+          }) => ({
+            ...change,
+            sourcePrice: centsToEuros(source.priceCents),
+            currentPrice: priceFields(before),
+            newPrice: priceFields(next),
+            difference: centsToEuros(differenceCents),
+          })
+        ),
+    });
+  } catch (error) {
+    handleAdminError(res, error, 'preview pricing rule');
+  }
+});
+
+// Supplier price lists arrive as the raw request body (CSV or XLSX)
+const PARTS_UPLOAD_LIMIT = '20mb';
+const XLSX_TYPE =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Import supplier price list into UniqueDevice - upsert on artikelNummer
+// ?format=csv|xlsx (default from Content-Type), ?dryRun=true, ?manufacturer
+// (for lists without Hersteller column), ?mapping={"Column":"field"}
+app.post(
+  '/api/admin/parts/import',
+  express.raw({ type: () => true, limit: PARTS_UPLOAD_LIMIT }),
+  async (req, res) => {
+    const format =
+      req.query.format ||
+      (req.get('Content-Type') === XLSX_TYPE ? 'xlsx' : 'csv');
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or xlsx' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Upload the file as request body' });
+    }
+
+    let mapping = {};
+    try {
+      mapping = req.query.mapping ? JSON.parse(req.query.mapping) : {};
+    } catch {
+      return res.status(400).json({ error: 'mapping must be a JSON object' });
+    }
+    if (
+      typeof mapping !== 'object' ||
+      mapping === null ||
+      Array.isArray(mapping)
+    ) {
+      return res.status(400).json({ error: 'mapping must be a JSON object' });
+    }
+
+    let rows;
+    try {
+      rows = await readSheet(req.body, format);
+    } catch (error) {
+      console.warn(`⚠️ Unreadable ${format} upload:`, error.message);
+      return res.status(400).json({ error: `Could not read ${format} file` });
+    }
+
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      const result = await importParts(prisma, rows, {
+        mapping,
+        manufacturer: parseName(req.query.manufacturer),
+        dryRun,
+      });
+      if (result.error) return res.status(400).json(result);
+
+      if (!dryRun) {
+        console.log(
+          `📦 ${req.user.username} imported parts: ${result.created} created, ${result.updated} updated`
+        );
+      }
+      res.json(result);
+    } catch (error) {
+      handleAdminError(res, error, 'import parts');
+    }
+  }
+);
+
+// Repair margins - customer price against parts (einkaufsPreis) and labour
+// cost for every action with a parts list or labour time, lowest margin first
+// ?status=loss|low|ok|unpriced, ?manufacturerId, ?deviceId
+app.get('/api/admin/margins', async (req, res) => {
+  const status = req.query.status;
+  if (status && !MARGIN_STATUSES.includes(status)) {
+    return res
+      .status(400)
+      .json({ error: `status must be one of: ${MARGIN_STATUSES.join(', ')}` });
+  }
+
+  const where = {
+    OR: [{ parts: { some: {} } }, { labourMinutes: { not: null } }],
+  };
+  const manufacturerId = parseInt(req.query.manufacturerId);
+  const deviceId = parseInt(req.query.deviceId);
+  if (manufacturerId) where.device = { manufacturerId };
+  if (deviceId) where.deviceId = deviceId;
+
+  try {
+    const settings = marginSettings();
+    const [actions, overrides, pricer] = await Promise.all([
+      prisma.action.findMany({
+        where,
+        include: { device: true, currentPrice: true, ...actionPartsInclude },
+      }),
+      getActiveOverrides({ action: where }),
+      getPricer(),
+    ]);
+
+    const margins = actions.map((action) => {
+      const override = overrides.get(action.id);
+      const rule = override
+        ? null
+        : pricer.ruleFor(
+            pricingTarget(action, action.device.manufacturerId),
+            action.currentPrice
+          );
+      const row = effectivePriceRow(action.currentPrice, override, rule);
+      const margin = computeMargin(
+        row?.priceCents ?? null,
+        action.parts,
+        action.labourMinutes,
+        settings
+      );
+
+      return {
+        ...formatActionParts(action),
+        deviceId: action.deviceId,
+        deviceName: action.device.name,
+        ...priceFields(row),
+        priceSource: priceSource(override, rule),
+        partsCost: centsToEuros(margin.partsCostCents),
+        labourCost: centsToEuros(margin.labourCostCents),
+        cost: centsToEuros(margin.costCents),
+        netPrice: centsToEuros(margin.netPriceCents),
+        margin: centsToEuros(margin.marginCents),
+        marginPercent: margin.marginPercent,
+        status: margin.status,
+      };
+    });
+
+    // Lowest margin first, unpriced actions last
+    margins.sort(
+      (a, b) =>
+        (a.margin ?? Infinity) - (b.margin ?? Infinity) ||
+        a.actionId - b.actionId
+    );
+
+    const summary = Object.fromEntries(
+      MARGIN_STATUSES.map((key) => [
+        key,
+        margins.filter((m) => m.status === key).length,
+      ])
+    );
+
+    res.json({
+      labourRate: centsToEuros(settings.labourRateCents),
+      warnPercent: settings.warnPercent,
+      summary,
+      margins: margins.filter((m) => !status || m.status === status),
+    });
+  } catch (error) {
+    handleAdminError(res, error, 'fetch margins');
+  }
+});
+
+// Search index over the whole catalog - rebuilt after admin writes or TTL
+const SEARCH_INDEX_TTL_MS = 5 * 60 * 1000;
+const SEARCH_MAX_LIMIT = 50;
+let searchIndex = null;
+let searchIndexBuiltAt = 0;
+
+function invalidateSearchIndex() {
+  searchIndex = null;
+}
+
+async function getSearchIndex() {
+  if (searchIndex && Date.now() - searchIndexBuiltAt < SEARCH_INDEX_TTL_MS) {
+    return searchIndex;
+  }
+
+  const [manufacturers, aliases] = await Promise.all([
+    prisma.manufacturer.findMany({
+      include: {
+        devices: {
+          include: { actions: { select: { id: true, name: true } } },
+        },
+      },
+    }),
+    loadAliasResolver(prisma),
+  ]);
+
+  // Devices and actions carry their parents' names so "ip13 display" matches,
+  // plus their alias names ("Displaytausch" finds "Display Reparatur")
+  const documents = manufacturers.flatMap((m) => [
+    { type: 'manufacturer', id: m.id, name: m.name, text: m.name },
+    ...m.devices.flatMap((d) => [
+      {
+        type: 'device',
         id: d.id,
         name: d.name,
-        manufacturerName: d.manufacturer.name,
-        type: 'device',
-      })),
-      actions: actions.map((a) => ({
+        manufacturerId: m.id,
+        manufacturerName: m.name,
+        text: [m.name, d.name, ...aliases.deviceAliasNames(d.id)].join(' '),
+      },
+      ...d.actions.map((a) => ({
+        type: 'action',
         id: a.id,
         name: a.name,
-        type: 'action',
+        deviceId: d.id,
+        deviceName: d.name,
+        manufacturerId: m.id,
+        manufacturerName: m.name,
+        text: [
+          m.name,
+          d.name,
+          a.name,
+          ...aliases.actionAliasNames(a.name),
+        ].join(' '),
       })),
+    ]),
+  ]);
+
+  searchIndex = createSearchIndex(documents);
+  searchIndexBuiltAt = Date.now();
+  console.log(`🔎 Search index built: ${searchIndex.size} entries`);
+  return searchIndex;
+}
+
+// Search endpoint - one ranked list (?q, ?limit, ?type=manufacturer|device|action)
+app.get('/api/search', async (req, res) => {
+  const query = req.query.q?.trim();
+  const limit = Math.min(parseInt(req.query.limit) || 20, SEARCH_MAX_LIMIT);
+  const types = req.query.type ? String(req.query.type).split(',') : null;
+  console.log(`🔍 Search for: ${query}`);
+
+  if (!query || query.length < 2) {
+    return res
+      .status(400)
+      .json({ error: 'Query must be at least 2 characters' });
+  }
+
+  try {
+    const index = await getSearchIndex();
+    const hits = index.search(query, { limit, types });
+
+    // Latest price (or active override) for action hits
+    const actionIds = hits.filter((h) => h.type === 'action').map((h) => h.id);
+    const [actions, overrides, pricer] = await Promise.all([
+      prisma.action.findMany({
+        where: { id: { in: actionIds } },
+        include: { currentPrice: true, device: true },
+      }),
+      getActiveOverrides({ actionId: { in: actionIds } }),
+      getPricer(),
+    ]);
+    const actionsById = new Map(actions.map((a) => [a.id, a]));
+
+    const results = hits.map(({ text: _text, ...hit }) => {
+      if (hit.type !== 'action') return hit;
+
+      const action = actionsById.get(hit.id);
+      const override = overrides.get(hit.id);
+      const rule =
+        action && !override
+          ? pricer.ruleFor(
+              pricingTarget(action, action.device.manufacturerId),
+              action.currentPrice
+            )
+          : null;
+      return {
+        ...hit,
+        ...effectivePriceFields(action?.currentPrice, override, rule),
+      };
     });
+
+    res.json({ query, total: results.length, results });
   } catch (error) {
     console.error('❌ Database error:', error);
     res.status(500).json({ error: 'Search failed' });
   }
 });
 
-// Debug endpoint
-app.get('/api/debug', async (req, res) => {
+// Debug endpoint - admin only, exposes DB counts and runtime paths
+app.get('/api/debug', requireAdmin, async (req, res) => {
   console.log('🔍 Debug info');
   const dbStatus = await testConnection();
 
@@ -582,6 +3647,11 @@ app.get('/api/debug', async (req, res) => {
     },
     endpoints: {
       health: 'GET /health',
+      auth: [
+        'POST /api/auth/login',
+        'POST /api/auth/logout',
+        'GET /api/auth/me',
+      ],
       manufacturers: [
         'GET /api/manufacturers',
         'GET /api/unique-manufacturers',
@@ -591,15 +3661,73 @@ app.get('/api/debug', async (req, res) => {
         'GET /api/devices?manufacturerId={id}',
         'GET /api/unique-devices',
         'GET /api/unique-devices?uniqueManufacturerId={id}',
+        'GET /api/unique-devices/search?q={query}&sort={field}&order={asc|desc}&page={n}&pageSize={n}&uniqueManufacturerId={id}&minPrice={euros}&maxPrice={euros}&hasEan={true|false} (login)',
+        'GET /api/unique-devices/ean/{ean} (login)',
+        'GET /api/unique-devices/article/{nr} (login)',
       ],
       actions: ['GET /api/actions', 'GET /api/device/{deviceId}/actions'],
+      categories: [
+        'GET /api/categories',
+        'GET /api/categories/{id|slug}/devices?manufacturerId={id}',
+      ],
+      conditions: ['GET /api/conditions'],
+      buyback: [
+        'GET /api/buyback/quote?deviceId={id}&condition={value|id}',
+        'POST /api/buyback',
+      ],
+      appointments: [
+        'GET /api/appointments/slots?date={YYYY-MM-DD}',
+        'POST /api/appointments',
+      ],
+      crawl: [
+        'GET /api/crawl/runs (admin)',
+        'GET /api/crawl/runs/{id} (admin)',
+        'GET /api/crawl/status (admin)',
+        'POST /api/crawl/trigger (admin)',
+        'POST /api/crawl/cancel (admin)',
+      ],
+      admin: [
+        'POST /api/admin/manufacturers',
+        'PATCH|DELETE /api/admin/manufacturers/{id}',
+        'POST /api/admin/devices',
+        'PATCH|DELETE /api/admin/devices/{id}',
+        'POST /api/admin/actions',
+        'PATCH|DELETE /api/admin/actions/{id}',
+        'GET|PUT /api/admin/actions/{id}/parts',
+        'POST /api/admin/categories/assign?all={true|false}',
+        'POST /api/admin/devices/{id}/merge',
+        'POST /api/admin/actions/{id}/merge',
+        'GET /api/admin/aliases',
+        'POST /api/admin/aliases/{devices|actions}',
+        'DELETE /api/admin/aliases/{devices|actions}/{id}',
+        'GET|POST /api/admin/price-overrides',
+        'PATCH|DELETE /api/admin/price-overrides/{id}',
+        'GET /api/admin/price-quarantine?status={pending|approved|rejected}&reason={reason}&crawlRunId={id}',
+        'POST /api/admin/price-quarantine/{id}/{approve|reject}',
+        'GET|POST /api/admin/price-sources',
+        'PATCH /api/admin/price-sources/{id}',
+        'GET /api/action/{actionId}/price-comparison (admin)',
+        'GET|POST /api/admin/pricing-rules',
+        'PATCH|DELETE /api/admin/pricing-rules/{id}',
+        'POST /api/admin/pricing-rules/preview',
+        'POST /api/admin/parts/import?format={csv|xlsx}&dryRun={true|false}&manufacturer={name}&mapping={json}',
+        'GET /api/admin/margins?status={loss|low|ok|unpriced}&manufacturerId={id}&deviceId={id}',
+      ],
+      catalog: ['GET /api/catalog (ETag)'],
+      analytics: [
+        'GET /api/analytics/price-trends?interval={day|week|month}&from={YYYY-MM-DD}&to={YYYY-MM-DD}&manufacturerId={id}&deviceId={id}&category={id|slug}&movers={n} (admin)',
+      ],
       prices: [
         'GET /api/price?actionId={id}',
         'GET /api/price?deviceId={id}&actionName={name}',
         'GET /api/device/{deviceId}/prices',
-        'GET /api/action/{actionId}/price-history',
+        'GET /api/action/{actionId}/price-history?source={key}',
+      ],
+      other: [
+        'GET /api/stats',
+        'GET /api/search?q={query}&limit={n}&type={type}',
+        'GET /api/debug (admin)',
       ],
-      other: ['GET /api/stats', 'GET /api/search?q={query}', 'GET /api/debug'],
     },
   });
 });
@@ -631,13 +3759,15 @@ app.use((req, res) => {
     error: 'Endpoint not found',
     path: req.url,
     method: req.method,
-    hint: 'Check /api/debug for available endpoints',
+    hint: 'Check /api/debug (admin) for available endpoints',
   });
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n👋 Shutting down gracefully...');
+  retentionTimer?.stop();
+  await crawlScheduler.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
@@ -645,6 +3775,8 @@ process.on('SIGINT', async () => {
 // Graceful shutdown for Docker
 process.on('SIGTERM', async () => {
   console.log('📴 SIGTERM received, shutting down gracefully...');
+  retentionTimer?.stop();
+  await crawlScheduler.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
@@ -667,4 +3799,12 @@ app.listen(PORT, async () => {
   if (!dbStatus.connected) {
     console.error('⚠️ Server running without database connection!');
   }
+
+  crawlScheduler.start();
+  if (retentionTimer) {
+    retentionTimer.start();
+    console.log(
+      `🧹 Price retention scheduled: "${retentionSchedule}", next run ${retentionTimer.getNextRunAt()?.toISOString()}`
+    );
+  }
 });
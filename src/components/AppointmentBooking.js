@@ -0,0 +1,311 @@
+// src/components/AppointmentBooking.js
+/**
+ * @file Appointment booking panel for priced repairs
+ * @description Lets customers pick a free slot and book the repair they just priced in the hero
+ */
+
+import { createStyleInjector, css } from 'svarog-ui-core';
+import { createElement } from '../utils/componentFactory.js';
+
+console.log('=== APPOINTMENT BOOKING COMPONENT ===');
+
+// Styles
+const styles = css`
+  .appointment-booking {
+    background: var(--color-bg, #fff);
+    border: 1px solid var(--color-gray-200);
+    border-radius: var(--radius-md);
+    padding: var(--space-6) var(--space-4);
+    margin: var(--space-4) auto;
+    max-width: 560px;
+  }
+
+  .appointment-booking__title {
+    margin: 0 0 var(--space-2) 0;
+  }
+
+  .appointment-booking__summary {
+    color: var(--color-text-secondary);
+    margin: 0 0 var(--space-4) 0;
+  }
+
+  .appointment-booking__form {
+    display: grid;
+    gap: var(--space-3);
+  }
+
+  .appointment-booking__form label {
+    display: grid;
+    gap: var(--space-1);
+    font-size: var(--font-size-sm);
+  }
+
+  .appointment-booking__form input,
+  .appointment-booking__form select,
+  .appointment-booking__form textarea {
+    padding: var(--space-2);
+    border: 1px solid var(--color-gray-300);
+    border-radius: var(--radius-sm);
+    font: inherit;
+  }
+
+  .appointment-booking__actions {
+    display: flex;
+    gap: var(--space-2);
+    justify-content: flex-end;
+  }
+
+  .appointment-booking__button {
+    background: var(--color-primary);
+    color: white;
+    border: none;
+    padding: var(--space-2) var(--space-4);
+    border-radius: var(--radius-sm);
+    cursor: pointer;
+  }
+
+  .appointment-booking__button--secondary {
+    background: transparent;
+    color: var(--color-text);
+    border: 1px solid var(--color-gray-300);
+  }
+
+  .appointment-booking__button:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+
+  .appointment-booking__message {
+    margin: 0;
+    font-size: var(--font-size-sm);
+  }
+
+  .appointment-booking__message--error {
+    color: var(--color-danger);
+  }
+`;
+
+const injectStyles = createStyleInjector('AppointmentBooking');
+
+// Local date as "YYYY-MM-DD" (toISOString would shift to UTC)
+const toDateValue = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Create a labelled form field
+function createField(label, input) {
+  return createElement('label', {
+    children: [createElement('span', { textContent: label }), input],
+  });
+}
+
+// Create an input with properties set directly on the element
+function createInput(tag, properties = {}) {
+  const input = createElement(tag, {});
+  Object.assign(input, properties);
+  return input;
+}
+
+/**
+ * Creates an appointment booking panel
+ * @param {Object} props
+ * @param {Object} props.service - API service with fetchAppointmentSlots/bookAppointment
+ * @param {Object} props.repairInfo - Repair selection from PhoneRepairFormContainer
+ * @param {Function} props.onBooked - Called with the booking result
+ * @param {Function} props.onCancel - Called when the customer closes the panel
+ * @returns {Object} Component API
+ */
+export function AppointmentBooking(props = {}) {
+  const {
+    service,
+    repairInfo = {},
+    onBooked = () => {},
+    onCancel = () => {},
+  } = props;
+
+  injectStyles(styles);
+
+  // Repair form payloads differ between versions - accept both shapes
+  const actionId = repairInfo.actionId || repairInfo.action?.id || null;
+  const deviceId = repairInfo.deviceId || repairInfo.device?.id || null;
+  const summary = [
+    repairInfo.manufacturerName || repairInfo.manufacturer?.name,
+    repairInfo.deviceName || repairInfo.device?.name,
+    repairInfo.actionName || repairInfo.action?.name,
+    repairInfo.price?.formatted || repairInfo.formatted,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+  let element = null;
+  let isDestroyed = false;
+
+  const today = new Date();
+  const dateInput = createInput('input', {
+    type: 'date',
+    name: 'date',
+    required: true,
+    min: toDateValue(today),
+    value: toDateValue(today),
+  });
+  const slotSelect = createInput('select', { name: 'time', required: true });
+  const nameInput = createInput('input', {
+    type: 'text',
+    name: 'name',
+    required: true,
+    autocomplete: 'name',
+  });
+  const emailInput = createInput('input', {
+    type: 'email',
+    name: 'email',
+    required: true,
+    autocomplete: 'email',
+  });
+  const phoneInput = createInput('input', {
+    type: 'tel',
+    name: 'phone',
+    autocomplete: 'tel',
+  });
+  const notesInput = createInput('textarea', { name: 'notes', rows: 3 });
+  const message = createElement('p', {
+    className: 'appointment-booking__message',
+  });
+  const submitButton = createElement('button', {
+    className: 'appointment-booking__button',
+    textContent: 'Termin buchen',
+  });
+  submitButton.type = 'submit';
+
+  const setMessage = (text, isError = false) => {
+    message.textContent = text;
+    message.classList.toggle('appointment-booking__message--error', isError);
+  };
+
+  // Load free slots for the selected day
+  const loadSlots = async () => {
+    slotSelect.innerHTML = '';
+    slotSelect.disabled = true;
+    setMessage('Lade freie Termine...');
+
+    const { closed, slots } = await service.fetchAppointmentSlots(
+      dateInput.value
+    );
+    if (isDestroyed) return;
+
+    const free = slots.filter((slot) => slot.available);
+    free.forEach((slot) => {
+      const option = createInput('option', {
+        value: slot.time,
+        textContent: `${slot.time} Uhr`,
+      });
+      slotSelect.appendChild(option);
+    });
+
+    slotSelect.disabled = free.length === 0;
+    submitButton.disabled = free.length === 0;
+
+    if (closed) {
+      setMessage('An diesem Tag ist geschlossen.', true);
+    } else if (free.length === 0) {
+      setMessage('Keine freien Termine an diesem Tag.', true);
+    } else {
+      setMessage('');
+    }
+  };
+
+  // Submit booking
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    submitButton.disabled = true;
+    setMessage('Termin wird gebucht...');
+
+    try {
+      const result = await service.bookAppointment({
+        date: dateInput.value,
+        time: slotSelect.value,
+        actionId,
+        deviceId,
+        name: nameInput.value,
+        email: emailInput.value,
+        phone: phoneInput.value || undefined,
+        notes: notesInput.value || undefined,
+      });
+
+      const startsAt = new Date(result.startsAt).toLocaleString('de-DE', {
+        dateStyle: 'full',
+        timeStyle: 'short',
+      });
+      setMessage(`Ihr Termin ist gebucht: ${startsAt}`);
+      form.remove();
+      onBooked(result);
+    } catch (error) {
+      console.error('❌ Appointment booking failed:', error);
+      setMessage(
+        error.status === 409
+          ? 'Dieser Termin wurde gerade vergeben. Bitte wählen Sie einen anderen.'
+          : 'Buchung fehlgeschlagen. Bitte versuchen Sie es erneut.',
+        true
+      );
+      if (error.status === 409) await loadSlots();
+      submitButton.disabled = false;
+    }
+  };
+
+  const cancelButton = createElement('button', {
+    className:
+      'appointment-booking__button appointment-booking__button--secondary',
+    textContent: 'Abbrechen',
+    onclick: () => onCancel(),
+  });
+  cancelButton.type = 'button';
+
+  const form = createElement('form', {
+    className: 'appointment-booking__form',
+    children: [
+      createField('Datum', dateInput),
+      createField('Uhrzeit', slotSelect),
+      createField('Name', nameInput),
+      createField('E-Mail', emailInput),
+      createField('Telefon (optional)', phoneInput),
+      createField('Anmerkungen (optional)', notesInput),
+      createElement('div', {
+        className: 'appointment-booking__actions',
+        children: [cancelButton, submitButton],
+      }),
+    ],
+  });
+
+  form.addEventListener('submit', handleSubmit);
+  dateInput.addEventListener('change', loadSlots);
+
+  element = createElement('div', {
+    className: 'appointment-booking',
+    children: [
+      createElement('h3', {
+        className: 'appointment-booking__title',
+        textContent: 'Reparaturtermin vereinbaren',
+      }),
+      createElement('p', {
+        className: 'appointment-booking__summary',
+        textContent: summary,
+      }),
+      form,
+      message,
+    ],
+  });
+
+  loadSlots();
+
+  return {
+    getElement() {
+      return element;
+    },
+
+    destroy() {
+      isDestroyed = true;
+      element?.remove();
+      element = null;
+    },
+  };
+}
+
+export default AppointmentBooking;
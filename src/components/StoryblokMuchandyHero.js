@@ -7,6 +7,7 @@ import {
 } from 'svarog-ui-core';
 
 import { createElement } from '../utils/componentFactory.js';
+import { AppointmentBooking } from './AppointmentBooking.js';
 import { appState } from '../utils/stateStore.js'; // ADD THIS IMPORT
 
 /**
@@ -61,6 +62,7 @@ export function StoryblokMuchandyHero(props = {}) {
   let hero = null;
   let repairForm = null;
   let buybackForm = null;
+  let bookingPanel = null;
   let apiService = null;
   let isInitialized = false;
   let isDestroyed = false;
@@ -187,20 +189,29 @@ export function StoryblokMuchandyHero(props = {}) {
           onRepairPriceChange(price);
         },
         onScheduleClick: (repairInfo) => {
-          console.log('📅 Repair scheduled:', repairInfo);
-          onRepairSchedule(repairInfo);
+          console.log('📅 Repair schedule requested:', repairInfo);
+          openBooking(repairInfo);
         },
       });
 
+      // Ankauf prices come from /api/buyback/quote, not the repair prices
       buybackForm = UsedPhonePriceFormContainer({
-        service: apiService,
+        service: apiService.createBuybackService(),
         onPriceChange: (price) => {
           console.log('💰 Buyback price changed:', price);
           onBuybackPriceChange(price);
         },
-        onSubmit: (formData) => {
+        onSubmit: async (formData) => {
           console.log('📤 Buyback submitted:', formData);
-          onBuybackSubmit(formData);
+
+          try {
+            const result = await apiService.submitBuybackRequest(formData);
+            console.log('✅ Buyback request stored:', result);
+            onBuybackSubmit(formData, result);
+          } catch (error) {
+            console.error('❌ Buyback request failed:', error);
+            onBuybackSubmit(formData, null, error);
+          }
         },
       });
 
@@ -260,6 +271,29 @@ export function StoryblokMuchandyHero(props = {}) {
     console.log('✅ Hero component added to DOM');
   };
 
+  // Show booking panel below the hero for the priced repair
+  const openBooking = (repairInfo) => {
+    if (!container || isDestroyed) return;
+
+    bookingPanel?.destroy();
+    bookingPanel = AppointmentBooking({
+      service: apiService,
+      repairInfo,
+      onBooked: (appointment) => {
+        console.log('✅ Repair appointment booked:', appointment);
+        onRepairSchedule(repairInfo, appointment);
+      },
+      onCancel: () => {
+        bookingPanel?.destroy();
+        bookingPanel = null;
+      },
+    });
+
+    const bookingElement = bookingPanel.getElement();
+    container.appendChild(bookingElement);
+    bookingElement.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+  };
+
   // Start initialization immediately
   const initPromise = initialize();
 
@@ -328,6 +362,11 @@ export function StoryblokMuchandyHero(props = {}) {
         buybackForm = null;
       }
 
+      if (bookingPanel) {
+        bookingPanel.destroy();
+        bookingPanel = null;
+      }
+
       if (container) {
         container.remove();
         container = null;
@@ -33,6 +33,13 @@ class ApiService {
 
     // Cache prefix
     this.cachePrefix = 'api_cache_';
+
+    // Catalog snapshot - kept until the server reports a new version
+    this.catalog = null;
+    this.catalogIndex = null;
+    this.catalogCheckedAt = 0;
+    this.catalogRequest = null;
+    this.catalogRevalidateInterval = 10 * 60 * 1000;
   }
 
   /**
@@ -135,14 +142,22 @@ class ApiService {
       });
 
       if (!response.ok) {
-        throw new Error(`API Error: ${response.status} ${response.statusText}`);
+        const error = new Error(
+          `API Error: ${response.status} ${response.statusText}`
+        );
+        error.status = response.status;
+        throw error;
       }
 
       return response.json();
     };
 
     try {
-      return await this.retry.retry(makeRequest);
+      if (options.skipRetry) {
+        return await makeRequest();
+      } else {
+        return await this.retry.retry(makeRequest);
+      }
     } catch (error) {
       console.error(`❌ API Error for ${endpoint}:`, error);
       throw error;
@@ -202,15 +217,150 @@ class ApiService {
   clearCache() {
     const keys = safeStorage.getKeys(this.cachePrefix);
     keys.forEach((key) => safeStorage.remove(key));
+    this.catalog = null;
+    this.catalogIndex = null;
+    this.catalogCheckedAt = 0;
     console.log(`🗑️ Cleared ${keys.length} cached items`);
   }
 
+  /**
+   * Fetch the catalog snapshot - maps to GET /api/catalog
+   * One request serves manufacturers, devices, actions and prices. The snapshot
+   * is kept in memory and localStorage and only downloaded again when the
+   * server's version (ETag) changes. Resolves to null if no snapshot is available.
+   */
+  async fetchCatalog() {
+    // Checked recently (or failed recently - then the single endpoints take over)
+    if (Date.now() - this.catalogCheckedAt < this.catalogRevalidateInterval) {
+      return this.catalog;
+    }
+
+    // Form fields ask in parallel - share one request
+    if (!this.catalogRequest) {
+      this.catalogRequest = this.loadCatalog().finally(() => {
+        this.catalogRequest = null;
+      });
+    }
+    return this.catalogRequest;
+  }
+
+  /**
+   * Revalidate the stored snapshot, downloading it only if its version changed
+   */
+  async loadCatalog() {
+    const stored =
+      this.catalog || safeStorage.get(`${this.cachePrefix}catalog`)?.data;
+    const url = `${this.baseUrl}/api/catalog`;
+    console.log(
+      `📚 Checking catalog (version ${stored?.version || 'none'})...`
+    );
+
+    try {
+      const response = await this.retry.retry(async () => {
+        const result = await fetch(url, {
+          headers: stored ? { 'If-None-Match': `"${stored.version}"` } : {},
+        });
+
+        if (!result.ok && result.status !== 304) {
+          throw new Error(`API Error: ${result.status} ${result.statusText}`);
+        }
+        return result;
+      });
+
+      if (response.status === 304) {
+        console.log(`✅ Catalog unchanged (${stored.version})`);
+        this.setCatalog(stored);
+      } else {
+        const snapshot = await response.json();
+        console.log(`✅ Catalog version ${snapshot.version} loaded`);
+        this.saveToCache('catalog', snapshot);
+        this.setCatalog(snapshot);
+      }
+    } catch (error) {
+      console.error('❌ Failed to fetch catalog:', error);
+      appState.set('api.errors.catalog', error.message);
+
+      // Stale snapshot beats none - ask again after the revalidate interval
+      this.catalogCheckedAt = Date.now();
+      if (stored) {
+        console.log('📦 Using stored catalog');
+        this.catalog = stored;
+        this.catalogIndex = this.indexCatalog(stored);
+      }
+    }
+
+    return this.catalog;
+  }
+
+  /**
+   * Keep a snapshot and refresh the state derived from it
+   */
+  setCatalog(snapshot) {
+    const changed = this.catalog?.version !== snapshot.version;
+
+    this.catalog = snapshot;
+    this.catalogCheckedAt = Date.now();
+    if (!changed && this.catalogIndex) return;
+
+    this.catalogIndex = this.indexCatalog(snapshot);
+    appState.set('api.catalog.version', snapshot.version);
+  }
+
+  /**
+   * Lookup tables over the snapshot tree, in the shape of the single endpoints
+   */
+  indexCatalog(snapshot) {
+    const index = {
+      devicesByManufacturer: new Map(),
+      actionsByDevice: new Map(),
+      actions: new Map(),
+    };
+
+    snapshot.manufacturers.forEach((manufacturer) => {
+      const devices = manufacturer.devices.map((device) => {
+        const actions = device.actions.map((action) => ({
+          ...action,
+          deviceId: device.id,
+          deviceName: device.name,
+          manufacturerId: manufacturer.id,
+          manufacturerName: manufacturer.name,
+          latestPrice: action.price,
+          priceDate: action.dateCollected,
+        }));
+
+        index.actionsByDevice.set(String(device.id), actions);
+        actions.forEach((action) =>
+          index.actions.set(String(action.id), action)
+        );
+
+        return {
+          id: device.id,
+          name: device.name,
+          manufacturerId: manufacturer.id,
+          manufacturer: { name: manufacturer.name },
+        };
+      });
+
+      index.devicesByManufacturer.set(String(manufacturer.id), devices);
+    });
+
+    return index;
+  }
+
   /**
    * Fetch manufacturers with caching
    */
   async fetchManufacturers() {
     console.log('🏭 Fetching manufacturers...');
 
+    // Catalog snapshot first - stays current across versions
+    const catalog = await this.fetchCatalog();
+    if (catalog) {
+      const manufacturers = this.transformManufacturers(catalog.manufacturers);
+      appState.set('api.manufacturers', manufacturers);
+      return manufacturers;
+    }
+
     // Check state first
     const stateData = appState.get('api.manufacturers');
     if (stateData?.length > 0) {
@@ -297,8 +447,18 @@ class ApiService {
     const cacheKey = `devices_${manufacturerId}`;
     console.log(`📱 Fetching devices for manufacturer ${manufacturerId}...`);
 
-    // Check state
+    // Check catalog snapshot
     const stateKey = `api.devices.${manufacturerId}`;
+    if (await this.fetchCatalog()) {
+      const devices = this.transformDevices(
+        this.catalogIndex.devicesByManufacturer.get(String(manufacturerId)) ||
+          []
+      );
+      appState.set(stateKey, devices);
+      return devices;
+    }
+
+    // Check state
     const stateData = appState.get(stateKey);
     if (stateData?.length > 0) {
       console.log(`✅ Devices from state: ${stateData.length}`);
@@ -457,24 +617,21 @@ class ApiService {
     const cacheKey = `price_action_${actionId}`;
     console.log(`💰 Fetching price for action ${actionId}...`);
 
+    // Check catalog snapshot
+    const fromCatalog =
+      (await this.fetchCatalog()) &&
+      this.catalogIndex.actions.get(String(actionId));
+    if (fromCatalog) {
+      return this.transformPrice(fromCatalog);
+    }
+
     // Check cache
     const cached = this.getFromCache(cacheKey);
     if (cached) return cached;
 
     try {
       const data = await this.get(`/api/price?actionId=${actionId}`);
-      const price = {
-        amount: data.price * 100, // Convert to cents
-        currency: data.currency || 'EUR',
-        formatted: data.formatted || `${data.price} €`,
-        price: data.price,
-        actionId: data.actionId,
-        actionName: data.actionName,
-        deviceId: data.deviceId,
-        deviceName: data.deviceName,
-        manufacturerId: data.manufacturerId,
-        manufacturerName: data.manufacturerName,
-      };
+      const price = this.transformPrice(data);
 
       // Cache for 5 minutes
       const oldExpiry = this.cacheExpiry;
@@ -499,6 +656,31 @@ class ApiService {
     }
   }
 
+  /**
+   * Transform price data (GET /api/price or a catalog action)
+   * priceType: "exact", "from" (price is the minimum), "range" (up to maxPrice)
+   * or "on-request" (price null, formatted "Preis auf Anfrage")
+   */
+  transformPrice(data) {
+    const hasPrice = data.price !== null && data.price !== undefined;
+    return {
+      amount: hasPrice ? Math.round(data.price * 100) : null, // Convert to cents
+      currency: data.currency || 'EUR',
+      formatted:
+        data.formatted ||
+        (hasPrice ? this.formatPrice(data.price) : 'Preis auf Anfrage'),
+      price: hasPrice ? data.price : null,
+      maxPrice: data.maxPrice ?? null,
+      priceType: data.priceType || (hasPrice ? 'exact' : 'on-request'),
+      actionId: data.actionId ?? data.id,
+      actionName: data.actionName ?? data.name,
+      deviceId: data.deviceId,
+      deviceName: data.deviceName,
+      manufacturerId: data.manufacturerId,
+      manufacturerName: data.manufacturerName,
+    };
+  }
+
   /**
    * Fetch all prices for a device - NEW METHOD - maps to GET /api/device/{deviceId}/prices
    */
@@ -535,8 +717,17 @@ class ApiService {
     const cacheKey = deviceId ? `actions_${deviceId}` : 'actions_all';
     console.log(`🔧 Fetching actions for device ${deviceId || 'all'}...`);
 
-    // Check state
+    // Check catalog snapshot (grouped "all actions" list comes from the API)
     const stateKey = deviceId ? `api.actions.${deviceId}` : 'api.actions';
+    if (deviceId && (await this.fetchCatalog())) {
+      const actions = this.transformActions(
+        this.catalogIndex.actionsByDevice.get(String(deviceId)) || []
+      );
+      appState.set(stateKey, actions);
+      return actions;
+    }
+
+    // Check state
     const stateData = appState.get(stateKey);
     if (stateData?.length > 0) {
       console.log(`✅ Actions from state: ${stateData.length}`);
@@ -598,8 +789,10 @@ class ApiService {
       name: item.name || 'Unknown',
       description: item.description || '',
       category: item.category || 'repair',
+      categoryId: item.categoryId ? String(item.categoryId) : null,
       deviceId: String(item.deviceId || item.device_id),
-      latestPrice: item.latestPrice || null,
+      latestPrice: item.latestPrice ?? null,
+      priceType: item.priceType || null,
       priceDate: item.priceDate || null,
     }));
   }
@@ -746,6 +939,7 @@ class ApiService {
       name: item.name || 'Unknown',
       description: item.description || '',
       value: item.value || item.name,
+      priceMultiplier: item.priceMultiplier ?? 1,
     }));
   }
 
@@ -760,34 +954,306 @@ class ApiService {
         name: 'Wie neu',
         description: 'Gerät sieht aus wie neu',
         value: 'like-new',
+        priceMultiplier: 1,
       },
       {
         id: '2',
         name: 'Sehr gut',
         description: 'Minimale Gebrauchsspuren',
         value: 'very-good',
+        priceMultiplier: 0.9,
       },
       {
         id: '3',
         name: 'Gut',
         description: 'Normale Gebrauchsspuren',
         value: 'good',
+        priceMultiplier: 0.8,
       },
       {
         id: '4',
         name: 'Akzeptabel',
         description: 'Deutliche Gebrauchsspuren',
         value: 'acceptable',
+        priceMultiplier: 0.65,
       },
       {
         id: '5',
         name: 'Defekt',
         description: 'Gerät ist beschädigt',
         value: 'defective',
+        priceMultiplier: 0.3,
       },
     ];
   }
 
+  /**
+   * Fetch buyback offer - maps to GET /api/buyback/quote?deviceId={id}&condition={value}
+   */
+  async fetchBuybackQuote(deviceId, condition) {
+    if (!deviceId || !condition) {
+      console.warn('⚠️ Device ID and condition required for buyback quote');
+      return null;
+    }
+
+    const cacheKey = `buyback_${deviceId}_${condition}`;
+    console.log(
+      `💶 Fetching buyback quote for device ${deviceId} (${condition})...`
+    );
+
+    // Check cache
+    const cached = this.getFromCache(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const data = await this.get(
+        `/api/buyback/quote?deviceId=${deviceId}&condition=${encodeURIComponent(condition)}`
+      );
+      const quote = {
+        amount: data.price * 100, // Convert to cents
+        currency: data.currency || 'EUR',
+        formatted: data.formatted || this.formatPrice(data.price),
+        price: data.price,
+        deviceId: String(data.deviceId),
+        deviceName: data.deviceName,
+        manufacturerId: String(data.manufacturerId),
+        manufacturerName: data.manufacturerName,
+        conditionId: String(data.conditionId),
+        conditionName: data.conditionName,
+        condition: data.condition,
+        derived: data.derived || false,
+      };
+
+      this.saveToCache(cacheKey, quote);
+      return quote;
+    } catch (error) {
+      console.error('❌ Failed to fetch buyback quote:', error);
+
+      // Try expired cache
+      const expiredCache = safeStorage.get(`${this.cachePrefix}${cacheKey}`);
+      if (expiredCache) {
+        const { data } = expiredCache;
+        console.log('📦 Using expired cache for buyback quote');
+        return data;
+      }
+
+      // No fallback - an invented offer would be a promise we can't keep
+      return null;
+    }
+  }
+
+  /**
+   * Service for UsedPhonePriceFormContainer - same catalog and conditions as
+   * the repair form, but prices are buyback offers from fetchBuybackQuote.
+   * fetchPrice(deviceId, condition) mirrors the repair service's
+   * fetchPrice(deviceId, actionId), with the condition in place of the action.
+   */
+  createBuybackService() {
+    return {
+      fetchManufacturers: () => this.fetchManufacturers(),
+      fetchDevices: (manufacturerId) => this.fetchDevices(manufacturerId),
+      fetchConditions: () => this.fetchConditions(),
+      fetchPrice: async (deviceId, condition) => {
+        const quote = await this.fetchBuybackQuote(deviceId, condition);
+        if (!quote) throw new Error('Kein Ankaufspreis verfügbar');
+        return quote;
+      },
+      submitBuybackRequest: (formData) => this.submitBuybackRequest(formData),
+    };
+  }
+
+  /**
+   * Submit buyback request - maps to POST /api/buyback
+   */
+  async submitBuybackRequest(formData = {}) {
+    console.log('📤 Submitting buyback request...');
+
+    const payload = {
+      deviceId: formData.deviceId,
+      condition: formData.condition || formData.conditionId,
+      name: formData.name || formData.customerName,
+      email: formData.email || formData.customerEmail,
+      phone: formData.phone || formData.customerPhone,
+      message: formData.message,
+    };
+
+    try {
+      // No retry - a request that reached the server but timed out would be
+      // submitted twice
+      const result = await this.post('/api/buyback', payload, {
+        skipRetry: true,
+      });
+      appState.set('api.buyback.lastRequest', result);
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to submit buyback request:', error);
+      appState.set('api.errors.buyback', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch free appointment slots - maps to GET /api/appointments/slots?date={YYYY-MM-DD}
+   * Not cached: availability changes with every booking
+   */
+  async fetchAppointmentSlots(date) {
+    console.log(`📅 Fetching appointment slots for ${date}...`);
+
+    try {
+      const data = await this.get(
+        `/api/appointments/slots?date=${encodeURIComponent(date)}`
+      );
+      return {
+        date: data.date,
+        closed: data.closed || false,
+        open: data.open,
+        close: data.close,
+        slots: (data.slots || []).map((slot) => ({
+          time: slot.time,
+          startsAt: slot.startsAt,
+          available: slot.available,
+        })),
+      };
+    } catch (error) {
+      console.error('❌ Failed to fetch appointment slots:', error);
+      appState.set('api.errors.appointments', error.message);
+      return { date, closed: false, slots: [] };
+    }
+  }
+
+  /**
+   * Book repair appointment - maps to POST /api/appointments
+   */
+  async bookAppointment(booking = {}) {
+    console.log('📅 Booking appointment...', booking.date, booking.time);
+
+    try {
+      // No retry - a taken slot (409) won't free up by asking again
+      const result = await this.post('/api/appointments', booking, {
+        skipRetry: true,
+      });
+      appState.set('api.appointments.lastBooking', result);
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to book appointment:', error);
+      appState.set('api.errors.appointments', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch repair categories - maps to GET /api/categories
+   */
+  async fetchCategories() {
+    console.log('🗂️ Fetching repair categories...');
+
+    // Check state
+    const stateData = appState.get('api.categories');
+    if (stateData?.length > 0) {
+      console.log(`✅ Categories from state: ${stateData.length}`);
+      return stateData;
+    }
+
+    // Check cache
+    const cached = this.getFromCache('categories');
+    if (cached) {
+      appState.set('api.categories', cached);
+      return cached;
+    }
+
+    try {
+      const data = await this.get('/api/categories');
+      const transformed = this.transformCategories(data);
+
+      // Save to cache and state
+      this.saveToCache('categories', transformed);
+      appState.set('api.categories', transformed);
+
+      return transformed;
+    } catch (error) {
+      console.error('❌ Failed to fetch categories:', error);
+
+      // Try expired cache
+      const expiredCache = safeStorage.get(`${this.cachePrefix}categories`);
+      if (expiredCache) {
+        const { data } = expiredCache;
+        console.log('📦 Using expired cache for categories');
+        appState.set('api.categories', data);
+        return data;
+      }
+
+      // Fallback
+      const fallback = this.getFallbackCategories();
+      appState.set('api.categories', fallback);
+      return fallback;
+    }
+  }
+
+  /**
+   * Transform categories data
+   */
+  transformCategories(data) {
+    if (!Array.isArray(data)) {
+      console.warn('⚠️ Invalid categories data:', data);
+      return [];
+    }
+
+    return data.map((item) => ({
+      id: String(item.id),
+      slug: item.slug,
+      name: item.name || 'Unknown',
+      icon: item.icon || null,
+      actionCount: item.actionCount || 0,
+      deviceCount: item.deviceCount || 0,
+    }));
+  }
+
+  /**
+   * Get fallback categories (same slugs as the fallback actions)
+   */
+  getFallbackCategories() {
+    console.log('📦 Using fallback categories');
+    return [
+      { id: '1', slug: 'display', name: 'Display', icon: '📱' },
+      { id: '2', slug: 'battery', name: 'Akku', icon: '🔋' },
+      { id: '4', slug: 'charging', name: 'Ladebuchse', icon: '🔌' },
+      { id: '5', slug: 'camera', name: 'Kamera', icon: '📷' },
+    ].map((category) => ({ ...category, actionCount: 0, deviceCount: 0 }));
+  }
+
+  /**
+   * Fetch devices offering a repair category - maps to GET /api/categories/{id|slug}/devices
+   */
+  async fetchCategoryDevices(category, manufacturerId = null) {
+    const cacheKey = `category_devices_${category}_${manufacturerId || 'all'}`;
+    console.log(`🗂️ Fetching devices for category ${category}...`);
+
+    // Check cache
+    const cached = this.getFromCache(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const query = manufacturerId ? `?manufacturerId=${manufacturerId}` : '';
+      const data = await this.get(
+        `/api/categories/${encodeURIComponent(category)}/devices${query}`
+      );
+
+      this.saveToCache(cacheKey, data);
+      return data;
+    } catch (error) {
+      console.error('❌ Failed to fetch category devices:', error);
+
+      // Try expired cache
+      const expiredCache = safeStorage.get(`${this.cachePrefix}${cacheKey}`);
+      if (expiredCache) {
+        console.log('📦 Using expired cache for category devices');
+        return expiredCache.data;
+      }
+
+      return { category: null, devices: [] };
+    }
+  }
+
   /**
    * Convenience method to fetch all actions
    */
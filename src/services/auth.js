@@ -0,0 +1,66 @@
+// src/services/auth.js - Password hashing and session tokens (node:crypto only)
+import {
+  createHash,
+  randomBytes,
+  scrypt as scryptCallback,
+  timingSafeEqual,
+} from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(scryptCallback);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const TOKEN_BYTES = 32;
+
+export const ROLES = ['user', 'admin'];
+
+/**
+ * Hash a password for storage in User.password
+ * @param {string} password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>" (hex)
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(SALT_BYTES).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string} stored - Value from hashPassword()
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hashHex] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  if (expected.length === 0) return false;
+
+  const actual = await scrypt(password, salt, expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// Hash compared when the user does not exist - keeps login timing uniform
+const DUMMY_HASH = await hashPassword(randomBytes(8).toString('hex'));
+
+export const verifyMissingUser = (password) =>
+  verifyPassword(password, DUMMY_HASH).then(() => false);
+
+// Random bearer token handed to the client once
+export const generateToken = () => randomBytes(TOKEN_BYTES).toString('hex');
+
+// Only token hashes are stored - a leaked database holds no usable sessions
+export const hashToken = (token) =>
+  createHash('sha256').update(token).digest('hex');
+
+// Extract the token from "Authorization: Bearer <token>"
+export function readBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+// User without the password hash - safe to send to clients
+export const publicUser = ({ password: _password, ...user }) => user;
@@ -0,0 +1,279 @@
+// src/services/catalogAliases.js - Canonical device/action names and duplicate merging
+import { tokenize } from './catalogSearch.js';
+import { refreshCurrentPrices } from './currentPrices.js';
+
+// Comparable form of a name: "Apple iPhone-13 Pro" → "apple iphone 13 pro"
+export const normalizeName = (name) => tokenize(name).join(' ');
+
+// Device key without a leading manufacturer name ("Apple iPhone 13" → "iphone 13")
+export function deviceKey(name, manufacturerName = '') {
+  const key = normalizeName(name);
+  const prefix = normalizeName(manufacturerName);
+  return prefix && key.startsWith(`${prefix} `)
+    ? key.slice(prefix.length + 1)
+    : key;
+}
+
+/**
+ * Load alias tables once and resolve crawled/requested names against them
+ * @param {PrismaClient} db
+ * @returns {Promise<Object>} Resolver with synchronous match helpers
+ */
+export async function loadAliasResolver(db) {
+  const [deviceAliases, actionAliases] = await Promise.all([
+    db.deviceAlias.findMany({ include: { device: true } }),
+    db.actionAlias.findMany(),
+  ]);
+
+  const devicesByAlias = new Map(
+    deviceAliases.map((alias) => [
+      `${alias.manufacturerId}:${alias.key}`,
+      alias.device,
+    ])
+  );
+  const canonicalByKey = new Map(
+    actionAliases.map((alias) => [alias.key, alias.canonicalName])
+  );
+
+  // "Displaytausch" → "Display Reparatur", unknown names stay as they are
+  const canonicalActionName = (name) =>
+    canonicalByKey.get(normalizeName(name)) || name;
+
+  return {
+    canonicalActionName,
+
+    // Alias names per device ID / canonical action key - for search
+    deviceAliasNames(deviceId) {
+      return deviceAliases
+        .filter((alias) => alias.deviceId === deviceId)
+        .map((alias) => alias.name);
+    },
+
+    actionAliasNames(actionName) {
+      const key = normalizeName(actionName);
+      return actionAliases
+        .filter((alias) => normalizeName(alias.canonicalName) === key)
+        .map((alias) => alias.name);
+    },
+
+    /**
+     * Find the stored device for a name under a manufacturer
+     * @param {Object} manufacturer - { id, name }
+     * @param {string} name - Crawled or requested device name
+     * @param {Object[]} devices - Stored devices of that manufacturer
+     * @returns {Object|null}
+     */
+    matchDevice(manufacturer, name, devices) {
+      const exact = devices.find((device) => device.name === name);
+      if (exact) return exact;
+
+      const key = deviceKey(name, manufacturer.name);
+      return (
+        devicesByAlias.get(`${manufacturer.id}:${key}`) ||
+        devices.find(
+          (device) => deviceKey(device.name, manufacturer.name) === key
+        ) ||
+        null
+      );
+    },
+
+    /**
+     * Find the stored action for a name among a device's actions
+     * @param {string} name - Crawled or requested action name
+     * @param {Object[]} actions - Stored actions of the device
+     * @returns {Object|null}
+     */
+    matchAction(name, actions) {
+      const exact = actions.find((action) => action.name === name);
+      if (exact) return exact;
+
+      const canonical = normalizeName(canonicalActionName(name));
+      return (
+        actions.find(
+          (action) =>
+            normalizeName(canonicalActionName(action.name)) === canonical
+        ) || null
+      );
+    },
+  };
+}
+
+// Remember a duplicate's name so the crawler maps it onto the canonical row
+async function addDeviceAlias(db, duplicate, canonical) {
+  const manufacturer = await db.manufacturer.findUnique({
+    where: { id: duplicate.manufacturerId },
+  });
+  const key = deviceKey(duplicate.name, manufacturer.name);
+
+  await db.deviceAlias.upsert({
+    where: { manufacturerId_key: { manufacturerId: manufacturer.id, key } },
+    update: { deviceId: canonical.id },
+    create: {
+      name: duplicate.name,
+      key,
+      manufacturerId: manufacturer.id,
+      deviceId: canonical.id,
+    },
+  });
+}
+
+async function addActionAlias(db, duplicate, canonical) {
+  const key = normalizeName(duplicate.name);
+  if (key === normalizeName(canonical.name)) return;
+
+  await db.actionAlias.upsert({
+    where: { key },
+    update: { canonicalName: canonical.name },
+    create: { name: duplicate.name, key, canonicalName: canonical.name },
+  });
+}
+
+// Parts list and labour time - the canonical action keeps its own, else it
+// takes the first duplicate's (the others go with the deleted duplicates)
+async function adoptPartsList(db, canonical, duplicates) {
+  const hasParts = await db.actionPart.count({
+    where: { actionId: canonical.id },
+  });
+  if (!hasParts) {
+    const donor = await db.actionPart.findFirst({
+      where: { actionId: { in: duplicates.map((d) => d.id) } },
+      orderBy: { actionId: 'asc' },
+    });
+    if (donor) {
+      await db.actionPart.updateMany({
+        where: { actionId: donor.actionId },
+        data: { actionId: canonical.id },
+      });
+    }
+  }
+
+  const labour = duplicates.find((d) => d.labourMinutes !== null);
+  if (canonical.labourMinutes === null && labour) {
+    await db.action.update({
+      where: { id: canonical.id },
+      data: { labourMinutes: labour.labourMinutes },
+    });
+  }
+}
+
+/**
+ * Merge duplicate actions into a canonical one (run inside a transaction)
+ * Moves prices, overrides, appointments, change records and the parts list,
+ * then deletes the duplicates
+ * @param {Object} db - Prisma transaction client
+ * @param {number} canonicalId
+ * @param {number[]} duplicateIds
+ * @returns {Promise<Object>} Moved row counts
+ */
+export async function mergeActions(db, canonicalId, duplicateIds) {
+  const canonical = await db.action.findUniqueOrThrow({
+    where: { id: canonicalId },
+  });
+  const duplicates = await db.action.findMany({
+    where: { id: { in: duplicateIds.filter((id) => id !== canonicalId) } },
+  });
+
+  const moved = { actions: 0, prices: 0 };
+  const where = { actionId: { in: duplicates.map((d) => d.id) } };
+  const data = { actionId: canonical.id };
+
+  moved.prices = (await db.price.updateMany({ where, data })).count;
+  await db.priceOverride.updateMany({ where, data });
+  await db.appointment.updateMany({ where, data });
+  await db.quarantinedPrice.updateMany({ where, data });
+  await db.priceChange.updateMany({
+    where,
+    data: { ...data, deviceId: canonical.deviceId },
+  });
+  await adoptPartsList(db, canonical, duplicates);
+
+  for (const duplicate of duplicates) {
+    await addActionAlias(db, duplicate, canonical);
+    await db.action.delete({ where: { id: duplicate.id } });
+    moved.actions++;
+  }
+
+  // A duplicate may have held the newest price
+  await refreshCurrentPrices(db, [canonical.id]);
+
+  return moved;
+}
+
+/**
+ * Merge duplicate devices into a canonical one (run inside a transaction)
+ * Actions with the same (canonical) name are merged, the rest move over
+ * Pricing rules scoped to a duplicate move to the canonical device
+ * Returned counts: devices removed, actions moved, actions merged, prices moved,
+ * pricing rules moved
+ * @param {Object} db - Prisma transaction client
+ * @param {number} canonicalId
+ * @param {number[]} duplicateIds
+ * @returns {Promise<Object>} Moved row counts
+ */
+export async function mergeDevices(db, canonicalId, duplicateIds) {
+  const canonical = await db.device.findUniqueOrThrow({
+    where: { id: canonicalId },
+    include: { actions: true, buybackPrices: true },
+  });
+  const duplicates = await db.device.findMany({
+    where: { id: { in: duplicateIds.filter((id) => id !== canonicalId) } },
+    include: { actions: true, buybackPrices: true },
+  });
+  const resolver = await loadAliasResolver(db);
+
+  const moved = {
+    devices: 0,
+    actions: 0,
+    mergedActions: 0,
+    prices: 0,
+    pricingRules: 0,
+  };
+
+  for (const duplicate of duplicates) {
+    for (const action of duplicate.actions) {
+      const target = resolver.matchAction(action.name, canonical.actions);
+
+      if (target) {
+        const result = await mergeActions(db, target.id, [action.id]);
+        moved.mergedActions += result.actions;
+        moved.prices += result.prices;
+      } else {
+        await db.action.update({
+          where: { id: action.id },
+          data: { deviceId: canonical.id },
+        });
+        canonical.actions.push(action);
+        moved.actions++;
+      }
+    }
+
+    // Keep the canonical device's buyback prices where both have one
+    for (const buybackPrice of duplicate.buybackPrices) {
+      const taken = canonical.buybackPrices.some(
+        (p) => p.conditionId === buybackPrice.conditionId
+      );
+      await (taken
+        ? db.buybackPrice.delete({ where: { id: buybackPrice.id } })
+        : db.buybackPrice.update({
+            where: { id: buybackPrice.id },
+            data: { deviceId: canonical.id },
+          }));
+    }
+
+    const where = { deviceId: duplicate.id };
+    const data = { deviceId: canonical.id };
+    await db.buybackRequest.updateMany({ where, data });
+    await db.appointment.updateMany({ where, data });
+    await db.priceChange.updateMany({ where, data });
+    await db.deviceAlias.updateMany({ where, data });
+    moved.pricingRules += (
+      await db.pricingRule.updateMany({ where, data })
+    ).count;
+
+    await addDeviceAlias(db, duplicate, canonical);
+    await db.device.delete({ where: { id: duplicate.id } });
+    moved.devices++;
+  }
+
+  return moved;
+}
@@ -0,0 +1,168 @@
+// src/services/catalogSearch.js - Typo-tolerant, token-based catalog search
+// Runs in memory, so it behaves the same on SQLite as on any other database
+
+// Match quality per query token
+const SCORE_EXACT = 1;
+const SCORE_PREFIX = 0.8;
+const SCORE_TYPO = 0.6;
+
+// Documents must cover at least this share of the query
+const MIN_COVERAGE = 0.5;
+
+/**
+ * Split text into lowercase tokens, separating letters from digits
+ * "iPhone 13 Pro" → ["iphone", "13", "pro"], "ip13" → ["ip", "13"]
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (
+    String(text || '')
+      .toLowerCase()
+      .replace(/ß/g, 'ss')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .match(/[a-z]+|\d+/g) || []
+  );
+}
+
+// Damerau-Levenshtein (optimal string alignment) distance, capped at `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+
+      // Swapped neighbours ("iphnoe") count as one edit
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+// Typos allowed for a token of this length
+const allowedTypos = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+/**
+ * Score how well a query token matches a document token (0 = no match)
+ * Numbers only match exactly - "13" must never find an iPhone 12
+ */
+export function scoreToken(queryToken, token) {
+  if (queryToken === token) return SCORE_EXACT;
+  if (/^\d/.test(queryToken) || /^\d/.test(token)) return 0;
+
+  if (queryToken.length >= 2 && token.startsWith(queryToken)) {
+    return SCORE_PREFIX;
+  }
+
+  const max = allowedTypos(queryToken.length);
+  if (max > 0 && editDistance(queryToken, token, max) <= max) {
+    return SCORE_TYPO;
+  }
+
+  return 0;
+}
+
+/**
+ * Build a search index over catalog documents
+ * @param {Object[]} documents - { type, id, text, ...payload }
+ * @returns {Object} { size, search(query, options) }
+ */
+export function createSearchIndex(documents) {
+  const entries = documents.map((document) => ({
+    document,
+    tokens: [...new Set(tokenize(document.text))],
+  }));
+
+  // Score each query token once per distinct vocabulary token
+  const vocabulary = [...new Set(entries.flatMap((entry) => entry.tokens))];
+  const matchVocabulary = (queryToken) => {
+    const matches = new Map();
+    vocabulary.forEach((token) => {
+      const score = scoreToken(queryToken, token);
+      if (score > 0) matches.set(token, score);
+    });
+    return matches;
+  };
+
+  /**
+   * Ranked search
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit=20]
+   * @param {string[]} [options.types] - Restrict to document types
+   * @returns {Object[]} Documents with a relevance score (0-1), best first
+   */
+  function search(query, { limit = 20, types = null } = {}) {
+    const queryTokens = [...new Set(tokenize(query))];
+    if (queryTokens.length === 0) return [];
+
+    const tokenMatches = queryTokens.map(matchVocabulary);
+    const numericTokens = queryTokens
+      .map((token, index) => (/^\d/.test(token) ? index : -1))
+      .filter((index) => index >= 0);
+
+    const results = [];
+
+    for (const { document, tokens } of entries) {
+      if (types && !types.includes(document.type)) continue;
+
+      let total = 0;
+      let matchedQueryTokens = 0;
+      const matchedTokens = new Set();
+
+      tokenMatches.forEach((matches) => {
+        let best = 0;
+        let bestToken = null;
+        tokens.forEach((token) => {
+          const score = matches.get(token) || 0;
+          if (score > best) {
+            best = score;
+            bestToken = token;
+          }
+        });
+
+        if (best > 0) {
+          total += best;
+          matchedQueryTokens++;
+          matchedTokens.add(bestToken);
+        }
+      });
+
+      // Model numbers are decisive - skip documents missing one
+      const coverage = matchedQueryTokens / queryTokens.length;
+      if (coverage < MIN_COVERAGE) continue;
+      if (numericTokens.some((index) => !tokens.includes(queryTokens[index]))) {
+        continue;
+      }
+
+      // Mostly query coverage, a little for how specific the document is
+      const precision = matchedTokens.size / tokens.length;
+      const score = (total / queryTokens.length) * (0.85 + 0.15 * precision);
+
+      results.push({ ...document, score: Math.round(score * 1000) / 1000 });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || a.text.length - b.text.length)
+      .slice(0, limit);
+  }
+
+  return { size: entries.length, search };
+}
@@ -0,0 +1,280 @@
+// src/services/crawlScheduler.js - Cron-style scheduling for in-server crawls
+import { crawlPrices } from './simpleCrawler.js';
+
+// Field ranges for "minute hour day-of-month month day-of-week"
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }, // 0 and 7 are Sunday
+];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+// Parse one cron field ("*", "5", "1-5", "*/15", "1,15,30") into a Set
+function parseField(value, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    let [start, end] = [min, max];
+    if (range !== '*') {
+      [start, end] = range.split('-').map(Number);
+      if (end === undefined) end = stepText === undefined ? start : max;
+    }
+
+    if (
+      ![start, end, step].every(Number.isInteger) ||
+      start < min ||
+      end > max ||
+      start > end ||
+      step < 1
+    ) {
+      throw new Error(`Invalid cron ${name} field: "${value}"`);
+    }
+
+    for (let i = start; i <= end; i += step) {
+      values.add(name === 'dayOfWeek' && i === 7 ? 0 : i);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - e.g. "0 3 * * *" or "@daily"
+ * @returns {Object} Parsed schedule
+ */
+export function parseCron(expression) {
+  const normalized = CRON_ALIASES[expression?.trim()] || expression?.trim();
+  const parts = normalized ? normalized.split(/\s+/) : [];
+
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression needs 5 fields: "${expression}"`);
+  }
+
+  const schedule = { expression };
+  CRON_FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+
+  // Standard cron: restricted day-of-month and day-of-week are OR-ed
+  schedule.anyDayOfMonth = parts[2] === '*';
+  schedule.anyDayOfWeek = parts[4] === '*';
+
+  return schedule;
+}
+
+// Check whether a schedule fires at the given minute
+export function cronMatches(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+  const dayMatches =
+    schedule.anyDayOfMonth || schedule.anyDayOfWeek
+      ? dayOfMonth && dayOfWeek
+      : dayOfMonth || dayOfWeek;
+
+  return (
+    dayMatches &&
+    schedule.minute.has(date.getMinutes()) &&
+    schedule.hour.has(date.getHours()) &&
+    schedule.month.has(date.getMonth() + 1)
+  );
+}
+
+// Next matching minute strictly after `from` (searches up to a year ahead)
+export function nextCronDate(schedule, from = new Date()) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (cronMatches(schedule, date)) return date;
+    date.setMinutes(date.getMinutes() + 1);
+  }
+
+  return null;
+}
+
+// Timers can't exceed ~24.8 days; re-check at least hourly
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+/**
+ * Call `run` at every minute matching a parsed cron schedule
+ * @param {Object} parsedSchedule - From parseCron()
+ * @param {Function} run - Called without arguments when the schedule fires
+ * @returns {Object} { start, stop, getNextRunAt }
+ */
+export function createCronTimer(parsedSchedule, run) {
+  let timer = null;
+  let nextRunAt = null;
+
+  function scheduleNext() {
+    nextRunAt = nextCronDate(parsedSchedule);
+    if (!nextRunAt) return;
+
+    const tick = () => {
+      if (Date.now() < nextRunAt.getTime()) {
+        timer = setTimeout(
+          tick,
+          Math.min(nextRunAt.getTime() - Date.now(), MAX_TIMER_MS)
+        );
+        return;
+      }
+
+      run();
+      scheduleNext();
+    };
+
+    timer = setTimeout(
+      tick,
+      Math.min(nextRunAt.getTime() - Date.now(), MAX_TIMER_MS)
+    );
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    nextRunAt = null;
+  }
+
+  return { start: scheduleNext, stop, getNextRunAt: () => nextRunAt };
+}
+
+/**
+ * Single-flight crawl runner with optional cron schedule
+ * @param {Object} [config]
+ * @param {string} [config.schedule] - Cron expression, disabled when empty
+ * @param {Function} [config.crawl] - Crawl function (defaults to crawlPrices)
+ */
+export function createCrawlScheduler({
+  schedule = null,
+  crawl = crawlPrices,
+} = {}) {
+  const parsedSchedule = schedule ? parseCron(schedule) : null;
+
+  let current = null;
+  let lastResult = null;
+
+  /**
+   * Start a crawl unless one is already running
+   * @returns {Object} { started, reason?, status }
+   */
+  function trigger(options = {}, origin = 'manual') {
+    if (current) {
+      return { started: false, reason: 'Crawl already running' };
+    }
+
+    const controller = new AbortController();
+    current = {
+      origin,
+      options,
+      startedAt: new Date(),
+      runId: null,
+      controller,
+    };
+
+    console.log(`🕷️ Crawl triggered (${origin})`, options);
+
+    const crawlRun = current;
+    current.promise = crawl({
+      ...options,
+      signal: controller.signal,
+      onStart: (run) => {
+        crawlRun.runId = run.id;
+      },
+    })
+      .then((result) => {
+        lastResult = { ...result, finishedAt: new Date() };
+      })
+      .catch((error) => {
+        console.error('❌ Scheduled crawl failed:', error.message);
+        lastResult = {
+          id: crawlRun.runId,
+          status: controller.signal.aborted ? 'cancelled' : 'failed',
+          error: error.message,
+          finishedAt: new Date(),
+        };
+      })
+      .finally(() => {
+        current = null;
+      });
+
+    return { started: true, status: getStatus() };
+  }
+
+  /**
+   * Abort the running crawl - it stops after the current action
+   * @returns {boolean} Whether a crawl was running
+   */
+  function cancel() {
+    if (!current) return false;
+
+    console.log('🛑 Cancelling crawl...');
+    current.controller.abort();
+    return true;
+  }
+
+  const cronTimer =
+    parsedSchedule &&
+    createCronTimer(parsedSchedule, () => {
+      const result = trigger({}, 'schedule');
+      if (!result.started) {
+        console.warn(`⚠️ Skipping scheduled crawl: ${result.reason}`);
+      }
+    });
+
+  function start() {
+    if (!cronTimer) {
+      console.log('🕒 Crawl scheduler disabled (CRAWL_SCHEDULE not set)');
+      return;
+    }
+
+    cronTimer.start();
+    const nextRunAt = cronTimer.getNextRunAt();
+    if (!nextRunAt) {
+      console.warn(`⚠️ Cron "${schedule}" never fires - scheduler idle`);
+      return;
+    }
+    console.log(
+      `🕒 Crawl scheduler active: "${schedule}", next run ${nextRunAt.toISOString()}`
+    );
+  }
+
+  async function stop() {
+    cronTimer?.stop();
+
+    if (current) {
+      cancel();
+      await current?.promise;
+    }
+  }
+
+  function getStatus() {
+    return {
+      schedule,
+      nextRunAt: cronTimer?.getNextRunAt() || null,
+      running: Boolean(current),
+      current: current && {
+        origin: current.origin,
+        options: current.options,
+        startedAt: current.startedAt,
+        runId: current.runId,
+        cancelling: current.controller.signal.aborted,
+      },
+      lastResult,
+    };
+  }
+
+  return { start, stop, trigger, cancel, getStatus };
+}
@@ -0,0 +1,172 @@
+// src/services/crawlerSources.js - Price source adapters for the crawler
+import puppeteer from 'puppeteer';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * A source adapter walks a manufacturer → device → action catalog:
+ *
+ *   {
+ *     name: string,
+ *     delayMs: number,                      // pause between devices
+ *     open(): Promise<void>,
+ *     listManufacturers(): Promise<Option[]>,
+ *     listDevices(manufacturer): Promise<Option[]>,
+ *     listActions(device): Promise<Option[]>,
+ *     getPriceText(action): Promise<string>,
+ *     close(): Promise<void>,
+ *   }
+ *
+ * where Option is { value, name }. listDevices/listActions are called in
+ * crawl order, so adapters may keep UI state (selected manufacturer etc.).
+ */
+
+export const DEFAULT_SOURCE = 'smartphonereparatur-muenchen';
+
+export const DEFAULT_SELECTORS = {
+  manufacturer: '#manufacturer',
+  device: '#device',
+  action: '#action',
+  price: '#final-price',
+};
+
+/**
+ * Adapter for a calculator page made of three dependent selects and a price element
+ * @param {Object} config
+ * @param {string} config.name - Source name stored on crawl runs
+ * @param {string} config.url - Calculator page URL (http(s) or file)
+ * @param {Object} [config.selectors] - Overrides for DEFAULT_SELECTORS
+ * @param {number} [config.delayMs] - Rate limit between devices
+ */
+export function createCalculatorSource({
+  name,
+  url,
+  selectors: selectorOverrides = {},
+  delayMs = 1000,
+}) {
+  const selectors = { ...DEFAULT_SELECTORS, ...selectorOverrides };
+  let browser = null;
+  let page = null;
+
+  // Read non-empty options of a select - Algorithmic Elegance
+  const readOptions = (selector) =>
+    page.$$eval(`${selector} option`, (options) =>
+      options
+        .filter((opt) => opt.value)
+        .map((opt) => ({ value: opt.value, name: opt.textContent.trim() }))
+    );
+
+  const waitForOptions = (selector) =>
+    page.waitForFunction(
+      (sel) => document.querySelector(sel).options.length > 1,
+      {},
+      selector
+    );
+
+  return {
+    name,
+    delayMs,
+
+    async open() {
+      browser = await puppeteer.launch({
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox'],
+      });
+      page = await browser.newPage();
+      await page.goto(url);
+
+      // Wait for calculator
+      await page.waitForSelector(selectors.manufacturer);
+    },
+
+    listManufacturers() {
+      return readOptions(selectors.manufacturer);
+    },
+
+    async listDevices(manufacturer) {
+      await page.select(selectors.manufacturer, manufacturer.value);
+      await waitForOptions(selectors.device);
+      return readOptions(selectors.device);
+    },
+
+    async listActions(device) {
+      await page.select(selectors.device, device.value);
+      await waitForOptions(selectors.action);
+      return readOptions(selectors.action);
+    },
+
+    async getPriceText(action) {
+      await page.select(selectors.action, action.value);
+      await page.waitForFunction(
+        (sel) => document.querySelector(sel)?.textContent.trim(),
+        {},
+        selectors.price
+      );
+      return page.$eval(selectors.price, (el) => el.textContent.trim());
+    },
+
+    async close() {
+      await browser?.close();
+      browser = null;
+      page = null;
+    },
+  };
+}
+
+/**
+ * Offline adapter - the calculator stub in ./fixtures, loaded from disk
+ * @param {Object} [config]
+ * @param {string} [config.path] - Alternative fixture file
+ */
+export function createFixtureSource({ path } = {}) {
+  const fixturePath =
+    path ||
+    process.env.CRAWLER_FIXTURE_PATH ||
+    join(__dirname, 'fixtures', 'calculator.html');
+
+  return createCalculatorSource({
+    name: 'fixture',
+    url: pathToFileURL(fixturePath).href,
+    delayMs: 0,
+  });
+}
+
+// Registered sources - add new price sources here
+const sources = {
+  [DEFAULT_SOURCE]: () =>
+    createCalculatorSource({
+      name: DEFAULT_SOURCE,
+      url: 'https://www.smartphonereparatur-muenchen.de/',
+    }),
+  fixture: (options) => createFixtureSource(options),
+};
+
+/**
+ * Register an additional source adapter factory
+ * @param {string} name
+ * @param {Function} factory - (options) => adapter
+ */
+export function registerSource(name, factory) {
+  sources[name] = factory;
+}
+
+export function listSources() {
+  return Object.keys(sources);
+}
+
+/**
+ * Create an adapter by name
+ * @param {string} name
+ * @param {Object} [options] - Passed to the factory
+ */
+export function createSource(name = DEFAULT_SOURCE, options = {}) {
+  const factory = sources[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown crawler source "${name}" (available: ${listSources().join(', ')})`
+    );
+  }
+  return factory(options);
+}
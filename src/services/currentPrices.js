@@ -0,0 +1,123 @@
+// src/services/currentPrices.js - CurrentPrice projection (latest Price row per action)
+// Price stays the append-only history; every write goes through here so reads
+// never have to scan it for "the latest price". Only rows from the primary
+// PriceSource are projected - other sources are kept for comparison.
+
+// Prisma filter for rows of the primary source
+export const primarySourceWhere = { source: { primary: true } };
+
+// Move the projection forward unless it already holds a newer row
+async function applyToProjection(db, row) {
+  const current = await db.currentPrice.findUnique({
+    where: { actionId: row.actionId },
+  });
+  if (current && current.dateCollected > row.dateCollected) return;
+
+  const data = {
+    priceId: row.id,
+    priceCents: row.priceCents,
+    maxPriceCents: row.maxPriceCents,
+    priceType: row.priceType,
+    priceText: row.priceText,
+    dateCollected: row.dateCollected,
+  };
+  await db.currentPrice.upsert({
+    where: { actionId: row.actionId },
+    update: data,
+    create: { actionId: row.actionId, ...data },
+  });
+}
+
+/**
+ * Append a price to the history and update the action's current price
+ * @param {Object} db - PrismaClient or transaction client
+ * @param {Object} data - { actionId, sourceId, priceCents, maxPriceCents?, priceType?, priceText?, dateCollected? }
+ * @returns {Promise<Object>} Created Price row
+ */
+export async function insertPrice(db, data) {
+  const write = async (tx) => {
+    const row = await tx.price.create({
+      data: { dateCollected: new Date(), ...data },
+      include: { source: true },
+    });
+    if (row.source.primary) await applyToProjection(tx, row);
+    return row;
+  };
+
+  // Transaction clients can't open nested transactions - run inline there
+  return db.$transaction ? db.$transaction(write) : write(db);
+}
+
+/**
+ * Recompute current prices from history for some actions
+ * Needed after prices move between actions (merges) or history is pruned
+ * @param {Object} db - PrismaClient or transaction client
+ * @param {number[]} actionIds
+ */
+export async function refreshCurrentPrices(db, actionIds) {
+  for (const actionId of actionIds) {
+    const latest = await db.price.findFirst({
+      where: { actionId, ...primarySourceWhere },
+      orderBy: [{ dateCollected: 'desc' }, { id: 'desc' }],
+    });
+
+    await db.currentPrice.deleteMany({ where: { actionId } });
+    if (latest) await applyToProjection(db, latest);
+  }
+}
+
+/**
+ * Rebuild the whole projection in one statement (repair / benchmarks)
+ * Walks actions and picks each one's latest row via the (actionId, dateCollected) index
+ * @param {PrismaClient} db
+ * @returns {Promise<number>} Rows written
+ */
+export async function rebuildCurrentPrices(db) {
+  const [, inserted] = await db.$transaction([
+    db.currentPrice.deleteMany(),
+    db.$executeRaw`
+      INSERT INTO "CurrentPrice" ("actionId", "priceId", "priceCents", "maxPriceCents", "priceType", "priceText", "dateCollected", "updatedAt")
+      SELECT p."actionId", p."id", p."priceCents", p."maxPriceCents", p."priceType", p."priceText", p."dateCollected", CURRENT_TIMESTAMP
+      FROM "Action" a
+      JOIN "Price" p ON p."id" = (
+        SELECT p2."id" FROM "Price" p2
+        JOIN "PriceSource" s ON s."id" = p2."sourceId"
+        WHERE p2."actionId" = a."id" AND s."primary" = true
+        ORDER BY p2."dateCollected" DESC, p2."id" DESC
+        LIMIT 1
+      )`,
+  ]);
+  return inserted;
+}
+
+/**
+ * Latest stored price of one source for an action
+ * @param {Object} db - PrismaClient or transaction client
+ * @param {number} actionId
+ * @param {Object} source - PriceSource row
+ * @returns {Promise<Object|null>} CurrentPrice row (primary source) or Price row
+ */
+export function latestPrice(db, actionId, source) {
+  if (source.primary) {
+    return db.currentPrice.findUnique({ where: { actionId } });
+  }
+  return db.price.findFirst({
+    where: { actionId, sourceId: source.id },
+    orderBy: [{ dateCollected: 'desc' }, { id: 'desc' }],
+  });
+}
+
+/**
+ * Stored source for a crawler source name - new sources are never primary,
+ * switching the primary source is an admin action
+ * @param {Object} db - PrismaClient
+ * @param {string} key - Crawler source name
+ * @returns {Promise<Object>} PriceSource row
+ */
+export async function resolvePriceSource(db, key) {
+  return db.priceSource.upsert({
+    where: { key },
+    update: {},
+    create: { key, name: key },
+  });
+}
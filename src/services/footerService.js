@@ -1,6 +1,12 @@
 // src/services/footerService.js - Enhanced with coordinated loading
 import { appState } from '../utils/stateStore.js';
 import { storyblok } from './storyblok.js';
+import {
+  DEFAULT_OPENING_HOURS,
+  getHoursForDate,
+  isOpenAt,
+  parseOpeningHours,
+} from '../utils/openingHours.js';
 
 console.log('=== ENHANCED FOOTER SERVICE LOADING ===');
 
@@ -76,14 +82,7 @@ class FooterService {
     console.log('🔄 Transforming footer content');
 
     // Transform opening hours
-    const openingHours = (content.opening_hours || [])
-      .filter((hour) => hour.component === 'opening_hour' && hour.day)
-      .map((hour) => ({
-        day: hour.day,
-        open: hour.open || '10:00',
-        close: hour.close || '19:00',
-        closed: hour.closed || false,
-      }));
+    const openingHours = parseOpeningHours(content.opening_hours);
 
     // Transform social links
     const socialLinks = (content.social_links || [])
@@ -198,15 +197,7 @@ class FooterService {
 
   // Fallback opening hours - Maximum Conciseness
   getFallbackOpeningHours() {
-    return [
-      { day: 'Montag', open: '10:00', close: '19:00' },
-      { day: 'Dienstag', open: '10:00', close: '19:00' },
-      { day: 'Mittwoch', open: '10:00', close: '19:00' },
-      { day: 'Donnerstag', open: '10:00', close: '19:00' },
-      { day: 'Freitag', open: '10:00', close: '19:00' },
-      { day: 'Samstag', open: '10:00', close: '18:00' },
-      { day: 'Sonntag', closed: true },
-    ];
+    return DEFAULT_OPENING_HOURS.map((hours) => ({ ...hours }));
   }
 
   // Fallback footer links
@@ -269,35 +260,15 @@ class FooterService {
     const config = this.getConfig();
     if (!config?.openingHours) return null;
 
-    const days = [
-      'Sonntag',
-      'Montag',
-      'Dienstag',
-      'Mittwoch',
-      'Donnerstag',
-      'Freitag',
-      'Samstag',
-    ];
-    const today = days[new Date().getDay()];
-
-    return config.openingHours.find((hours) => hours.day === today);
+    return getHoursForDate(config.openingHours, new Date());
   }
 
   // Check if currently open
   isCurrentlyOpen() {
-    const todayHours = this.getTodayHours();
-    if (!todayHours || todayHours.closed) return false;
-
-    const now = new Date();
-    const currentTime = now.getHours() * 60 + now.getMinutes();
-
-    const [openHour, openMin] = todayHours.open.split(':').map(Number);
-    const [closeHour, closeMin] = todayHours.close.split(':').map(Number);
-
-    const openTime = openHour * 60 + openMin;
-    const closeTime = closeHour * 60 + closeMin;
+    const config = this.getConfig();
+    if (!config?.openingHours) return false;
 
-    return currentTime >= openTime && currentTime < closeTime;
+    return isOpenAt(config.openingHours, new Date());
   }
 
   // Get service status
@@ -0,0 +1,87 @@
+// src/services/margins.js - Repair price vs. parts and labour cost per action
+// Parts are costed at their current einkaufsPreis, so a supplier list import
+// that raises purchase prices shows up here right away. Customer prices
+// include VAT while purchase prices are net, so the price is netted first.
+
+export const MARGIN_STATUSES = ['loss', 'low', 'ok', 'unpriced'];
+
+/**
+ * Cost settings from the environment
+ * LABOUR_RATE_PER_HOUR - workshop rate in euros (default 60)
+ * MARGIN_WARN_PERCENT - margins below this are "low" (default 15)
+ * VAT_RATE - VAT in percent included in customer prices (default 19)
+ * @returns {Object} { labourRateCents, warnPercent, vatRate }
+ */
+export function marginSettings(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    labourRateCents: Math.round(number(env.LABOUR_RATE_PER_HOUR, 60) * 100),
+    warnPercent: number(env.MARGIN_WARN_PERCENT, 15),
+    vatRate: number(env.VAT_RATE, 19),
+  };
+}
+
+/**
+ * Parts cost of one action
+ * @param {Object[]} parts - ActionPart rows with uniqueDevice included
+ * @returns {number} Cents
+ */
+export const partsCostCents = (parts) =>
+  parts.reduce(
+    (sum, part) =>
+      sum + Math.round(part.uniqueDevice.einkaufsPreis * 100) * part.quantity,
+    0
+  );
+
+/**
+ * Margin of one action
+ * "from" and "range" prices count with their lower bound - the worst case
+ * @param {number|null} priceCents - Customer price incl. VAT (override/rule
+ *   applied)
+ * @param {Object[]} parts - ActionPart rows with uniqueDevice included
+ * @param {number|null} labourMinutes
+ * @param {Object} settings - marginSettings()
+ * @returns {Object} { partsCostCents, labourCostCents, costCents,
+ *   netPriceCents, marginCents, marginPercent, status } - price and margin
+ *   fields are null without a price
+ */
+export function computeMargin(priceCents, parts, labourMinutes, settings) {
+  const partsCost = partsCostCents(parts);
+  const labourCost = Math.round(
+    ((labourMinutes || 0) * settings.labourRateCents) / 60
+  );
+  const costCents = partsCost + labourCost;
+  const result = {
+    partsCostCents: partsCost,
+    labourCostCents: labourCost,
+    costCents,
+    netPriceCents: null,
+    marginCents: null,
+    marginPercent: null,
+    status: 'unpriced',
+  };
+  if (priceCents === null || priceCents === undefined) return result;
+
+  const netPriceCents = Math.round(priceCents / (1 + settings.vatRate / 100));
+  const marginCents = netPriceCents - costCents;
+  const marginPercent =
+    netPriceCents > 0
+      ? Math.round((marginCents / netPriceCents) * 1000) / 10
+      : null;
+
+  return {
+    ...result,
+    netPriceCents,
+    marginCents,
+    marginPercent,
+    status:
+      marginCents < 0
+        ? 'loss'
+        : marginPercent === null || marginPercent < settings.warnPercent
+          ? 'low'
+          : 'ok',
+  };
+}
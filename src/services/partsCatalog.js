@@ -0,0 +1,122 @@
+// src/services/partsCatalog.js - Search and barcode lookup over UniqueDevice (parts)
+// Staff scan EAN-13 barcodes or type article numbers; both go through here.
+
+export const PART_SORT_FIELDS = [
+  'artikelBezeichnung',
+  'artikelNummer',
+  'ean',
+  'herstellerArtikelNummer',
+  'einkaufsPreis',
+  'nettPreis',
+  'manufacturer',
+];
+
+// Text fields `q` is matched against
+const SEARCH_FIELDS = [
+  'artikelNummer',
+  'artikelBezeichnung',
+  'ean',
+  'herstellerArtikelNummer',
+  'beschreibung',
+];
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Check an EAN-13 - 13 digits with a valid check digit
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isValidEan13(code) {
+  if (!/^\d{13}$/.test(code)) return false;
+
+  // Weights 1,3,1,3,... over the first 12 digits
+  const sum = [...code.slice(0, 12)].reduce(
+    (total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1),
+    0
+  );
+  return (10 - (sum % 10)) % 10 === Number(code[12]);
+}
+
+/**
+ * Scanned or typed barcode → EAN-13
+ * Spaces and dashes are dropped, 12-digit UPC-A codes get their leading zero
+ * @param {string} input
+ * @returns {Object} { ean } or { error }
+ */
+export function parseEan(input) {
+  let ean = String(input ?? '').replace(/[\s-]/g, '');
+  if (/^\d{12}$/.test(ean)) ean = `0${ean}`;
+
+  if (!/^\d{13}$/.test(ean)) return { error: 'EAN must have 13 digits' };
+  if (!isValidEan13(ean)) return { error: 'Invalid EAN-13 check digit' };
+  return { ean };
+}
+
+// Spreadsheet imports may have stored the EAN as a number - leading zeros lost
+export const eanVariants = (ean) => [...new Set([ean, ean.replace(/^0+/, '')])];
+
+/**
+ * Query string → Prisma findMany arguments for the parts search
+ * ?q, ?uniqueManufacturerId, ?minPrice/?maxPrice (net, euros), ?hasEan,
+ * ?sort (PART_SORT_FIELDS), ?order (asc|desc), ?page, ?pageSize
+ * @param {Object} query - req.query
+ * @returns {Object} { where, orderBy, skip, take, page, pageSize } or { error }
+ */
+export function parsePartQuery(query = {}) {
+  const sort = query.sort || 'artikelBezeichnung';
+  const order = query.order || 'asc';
+
+  if (!PART_SORT_FIELDS.includes(sort)) {
+    return { error: `sort must be one of: ${PART_SORT_FIELDS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(query.pageSize) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  // Every word has to appear in one of the fields - "display iphone 13"
+  const words = String(query.q || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const conditions = words.map((word) => ({
+    OR: SEARCH_FIELDS.map((field) => ({ [field]: { contains: word } })),
+  }));
+
+  const uniqueManufacturerId = parseInt(query.uniqueManufacturerId);
+  if (uniqueManufacturerId) conditions.push({ uniqueManufacturerId });
+
+  for (const [param, operator] of [
+    ['minPrice', 'gte'],
+    ['maxPrice', 'lte'],
+  ]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const value = Number(query[param]);
+    if (!Number.isFinite(value)) return { error: `Invalid ${param}` };
+    conditions.push({ nettPreis: { [operator]: value } });
+  }
+
+  if (query.hasEan === 'true') conditions.push({ ean: { not: null } });
+  if (query.hasEan === 'false') conditions.push({ ean: null });
+
+  return {
+    where: conditions.length > 0 ? { AND: conditions } : {},
+    orderBy: [
+      sort === 'manufacturer'
+        ? { uniqueManufacturer: { name: order } }
+        : { [sort]: order },
+      { id: 'asc' },
+    ],
+    skip: (page - 1) * pageSize,
+    take: pageSize,
+    page,
+    pageSize,
+  };
+}
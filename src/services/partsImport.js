@@ -0,0 +1,410 @@
+// src/services/partsImport.js - Supplier price lists (CSV/XLSX) → UniqueDevice
+// Columns are matched by their German names ("Artikelnummer", "Einkaufspreis",
+// ...) or an explicit mapping; rows are upserted on artikelNummer.
+import { TextDecoder } from 'util';
+import { parseEan } from './partsCatalog.js';
+
+export const IMPORT_FIELDS = [
+  'artikelNummer',
+  'artikelBezeichnung',
+  'ean',
+  'beschreibung',
+  'herstellerArtikelNummer',
+  'einkaufsPreis',
+  'nettPreis',
+  'gewicht',
+  'manufacturer',
+];
+
+const REQUIRED_FIELDS = [
+  'artikelNummer',
+  'artikelBezeichnung',
+  'einkaufsPreis',
+  'nettPreis',
+];
+
+// Normalized header → field, for the usual spellings in supplier lists
+const HEADER_ALIASES = {
+  artikelnummer: 'artikelNummer',
+  artikelnr: 'artikelNummer',
+  artnr: 'artikelNummer',
+  artikelbezeichnung: 'artikelBezeichnung',
+  bezeichnung: 'artikelBezeichnung',
+  ean: 'ean',
+  eancode: 'ean',
+  gtin: 'ean',
+  beschreibung: 'beschreibung',
+  herstellerartikelnummer: 'herstellerArtikelNummer',
+  herstellerartikelnr: 'herstellerArtikelNummer',
+  herstellernummer: 'herstellerArtikelNummer',
+  einkaufspreis: 'einkaufsPreis',
+  ek: 'einkaufsPreis',
+  nettopreis: 'nettPreis',
+  nettpreis: 'nettPreis',
+  vknetto: 'nettPreis',
+  gewicht: 'gewicht',
+  hersteller: 'manufacturer',
+};
+
+const WRITE_BATCH = 200;
+const IMPORT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// "1.234" / "12.345.678" - dots read as thousands separators; "0.250" isn't one
+const THOUSANDS_DOTS = /^-?[1-9]\d{0,2}(\.\d{3})+$/;
+
+// "Einkaufs-Preis (€)" → "einkaufspreis"
+export const normalizeHeader = (header) =>
+  String(header ?? '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae')
+    .replace(/ö/g, 'oe')
+    .replace(/ü/g, 'ue')
+    .replace(/ß/g, 'ss')
+    .replace(/\(.*?\)/g, '')
+    .replace(/[^a-z0-9]/g, '');
+
+/**
+ * German or plain decimal → number
+ * "1.234,56" → 1234.56, "12,5" → 12.5, "4,-" → 4, "3.99" → 3.99, "1.234" → 1234,
+ * "0.250" → 0.25
+ * @param {string|number} value
+ * @returns {number|null} null for empty cells, NaN for garbage
+ */
+export function parseGermanNumber(value) {
+  if (typeof value === 'number') return value;
+
+  let text = String(value ?? '')
+    .replace(/€|eur/gi, '')
+    .replace(/\s/g, '')
+    .replace(/,[-–]$/, ',00');
+  if (!text) return null;
+
+  if (text.includes(',')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (THOUSANDS_DOTS.test(text)) {
+    // Dots only as thousands separators
+    text = text.replace(/\./g, '');
+  }
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Split CSV text into rows - quoted fields, ";" / "," / tab detected from the header
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const headerLine = input.slice(0, input.search(/\r?\n|$/));
+  const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length
+      ? candidate
+      : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) rows.push([...row, field]);
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+// Excel exports are often Windows-1252 - fall back when UTF-8 doesn't decode
+function decodeText(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+}
+
+/**
+ * Read the first sheet of an upload into rows of cells
+ * @param {Buffer} buffer
+ * @param {string} format - "csv" or "xlsx"
+ * @returns {Promise<Array[]>} Header row first; numeric XLSX cells stay numbers
+ */
+export async function readSheet(buffer, format) {
+  if (format === 'csv') return parseCsv(decodeText(buffer));
+  if (format !== 'xlsx') throw new Error('format must be csv or xlsx');
+
+  // Only loaded for spreadsheets
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow((row) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, column) => {
+      cells[column - 1] =
+        typeof cell.value === 'number' ? cell.value : cell.text;
+    });
+    rows.push(Array.from(cells, (cell) => cell ?? ''));
+  });
+  return rows;
+}
+
+// "report.xlsx" → "xlsx"
+export const formatFromName = (name = '') =>
+  /\.xlsx$/i.test(name) ? 'xlsx' : 'csv';
+
+/**
+ * Resolve header cells to fields
+ * @param {Array} header - First row
+ * @param {Object} [mapping] - { "Column name": field } overrides
+ * @returns {Object} { columns: field per index, missing, unknown } or { error }
+ */
+export function mapColumns(header, mapping = {}) {
+  const explicit = new Map(
+    Object.entries(mapping).map(([column, field]) => [
+      normalizeHeader(column),
+      field,
+    ])
+  );
+  const invalid = [...explicit.values()].find(
+    (field) => !IMPORT_FIELDS.includes(field)
+  );
+  if (invalid) {
+    return {
+      error: `Unknown field "${invalid}" (fields: ${IMPORT_FIELDS.join(', ')})`,
+    };
+  }
+
+  const columns = header.map((cell) => {
+    const key = normalizeHeader(cell);
+    return explicit.get(key) || HEADER_ALIASES[key] || null;
+  });
+
+  return {
+    columns,
+    missing: REQUIRED_FIELDS.filter((field) => !columns.includes(field)),
+    unknown: header.filter((cell, index) => cell && !columns[index]),
+  };
+}
+
+const pick = (object, keys) =>
+  Object.fromEntries(keys.map((key) => [key, object[key]]));
+
+const text = (value) => {
+  const trimmed = String(value ?? '').trim();
+  return trimmed || null;
+};
+
+/**
+ * Validate one data row
+ * @param {Object} record - Raw cell per field
+ * @param {string|null} defaultManufacturer - Used when the row has none
+ * @returns {Object} { data, errors } - data holds UniqueDevice fields plus `manufacturer`
+ */
+export function validateRow(record, defaultManufacturer = null) {
+  const errors = [];
+  const data = {
+    artikelNummer: text(record.artikelNummer),
+    artikelBezeichnung: text(record.artikelBezeichnung),
+    beschreibung: text(record.beschreibung),
+    herstellerArtikelNummer: text(record.herstellerArtikelNummer),
+    manufacturer: text(record.manufacturer) || defaultManufacturer,
+    ean: null,
+  };
+
+  if (!data.artikelNummer) errors.push('Artikelnummer is missing');
+  if (!data.artikelBezeichnung) errors.push('Artikelbezeichnung is missing');
+  if (!data.manufacturer) errors.push('Hersteller is missing');
+
+  for (const field of ['einkaufsPreis', 'nettPreis', 'gewicht']) {
+    const value = parseGermanNumber(record[field]);
+    // A weight of "1.250" may be kilograms or grams - ask for a clear value
+    const ambiguous =
+      field === 'gewicht' &&
+      typeof record[field] === 'string' &&
+      THOUSANDS_DOTS.test(record[field].replace(/\s/g, ''));
+    if (ambiguous) {
+      errors.push(
+        `gewicht "${record[field]}" is ambiguous - write e.g. 1250 or 1,25`
+      );
+    } else if (value === null && field !== 'gewicht') {
+      errors.push(`${field} is missing`);
+    } else if (Number.isNaN(value) || value < 0) {
+      errors.push(`${field} "${record[field]}" is not a valid amount`);
+    } else {
+      data[field] = value;
+    }
+  }
+
+  // Numeric XLSX cells may have lost an EAN's leading zero
+  const rawEan = text(record.ean);
+  if (rawEan) {
+    const { ean, error } = parseEan(rawEan.padStart(13, '0'));
+    if (error) errors.push(`EAN "${rawEan}": ${error}`);
+    else data.ean = ean;
+  }
+
+  return { data, errors };
+}
+
+/**
+ * Validate and upsert a sheet on artikelNummer
+ * @param {PrismaClient} db
+ * @param {Array[]} rows - Header row first (readSheet())
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - { "Column name": field }
+ * @param {string} [options.manufacturer] - Default for rows without Hersteller
+ * @param {boolean} [options.dryRun=false] - Validate and count only
+ * @returns {Promise<Object>} { rows, created, updated, rejected, errors, ... } or { error }
+ */
+export async function importParts(
+  db,
+  rows,
+  { mapping = {}, manufacturer = null, dryRun = false } = {}
+) {
+  const [header = [], ...body] = rows;
+  const mapped = mapColumns(header, mapping);
+  if (mapped.error) return { error: mapped.error };
+
+  if (mapped.missing.length > 0) {
+    return { error: `Missing columns: ${mapped.missing.join(', ')}` };
+  }
+  if (!mapped.columns.includes('manufacturer') && !manufacturer) {
+    return { error: 'No Hersteller column - pass a default manufacturer' };
+  }
+
+  const result = {
+    dryRun,
+    rows: body.length,
+    created: 0,
+    updated: 0,
+    rejected: 0,
+    ignoredColumns: mapped.unknown,
+    newManufacturers: [],
+    errors: [],
+  };
+
+  // Validate everything first - line numbers count the header as line 1
+  const valid = [];
+  const seen = new Map();
+  body.forEach((cells, index) => {
+    const line = index + 2;
+    const record = {};
+    mapped.columns.forEach((field, column) => {
+      if (field) record[field] = cells[column];
+    });
+
+    const { data, errors } = validateRow(record, manufacturer);
+    if (data.artikelNummer && seen.has(data.artikelNummer)) {
+      errors.push(`Duplicate of line ${seen.get(data.artikelNummer)}`);
+    }
+    if (errors.length > 0) {
+      result.rejected++;
+      result.errors.push({ line, artikelNummer: data.artikelNummer, errors });
+      return;
+    }
+    seen.set(data.artikelNummer, line);
+    valid.push(data);
+  });
+
+  // Existing rows and manufacturers decide between create and update
+  const manufacturerNames = [...new Set(valid.map((row) => row.manufacturer))];
+  const existingManufacturers = await db.uniqueManufacturer.findMany({
+    where: { name: { in: manufacturerNames } },
+  });
+  const manufacturerIds = new Map(
+    existingManufacturers.map((m) => [m.name, m.id])
+  );
+  result.newManufacturers = manufacturerNames.filter(
+    (name) => !manufacturerIds.has(name)
+  );
+
+  // Updates only touch columns the sheet has - a list without EANs keeps stored ones
+  const updatable = [
+    ...mapped.columns.filter((field) => field && field !== 'manufacturer'),
+    ...(mapped.columns.includes('manufacturer')
+      ? ['uniqueManufacturerId']
+      : []),
+  ];
+
+  // All rows in one transaction - a failure leaves the catalog untouched
+  // instead of half imported
+  const write = async (tx) => {
+    for (let i = 0; i < valid.length; i += WRITE_BATCH) {
+      const batch = valid.slice(i, i + WRITE_BATCH);
+      const existing = new Set(
+        (
+          await tx.uniqueDevice.findMany({
+            where: {
+              artikelNummer: { in: batch.map((row) => row.artikelNummer) },
+            },
+            select: { artikelNummer: true },
+          })
+        ).map((row) => row.artikelNummer)
+      );
+
+      batch.forEach((row) =>
+        existing.has(row.artikelNummer) ? result.updated++ : result.created++
+      );
+      if (dryRun) continue;
+
+      for (const { manufacturer: name, ...data } of batch) {
+        if (!manufacturerIds.has(name)) {
+          const created = await tx.uniqueManufacturer.upsert({
+            where: { name },
+            update: {},
+            create: { name },
+          });
+          manufacturerIds.set(name, created.id);
+        }
+
+        const fields = {
+          ...data,
+          uniqueManufacturerId: manufacturerIds.get(name),
+        };
+        await tx.uniqueDevice.upsert({
+          where: { artikelNummer: data.artikelNummer },
+          update: pick(fields, updatable),
+          create: fields,
+        });
+      }
+    }
+  };
+
+  if (dryRun) await write(db);
+  else await db.$transaction(write, { timeout: IMPORT_TIMEOUT_MS });
+
+  console.log(
+    `📦 Parts import${dryRun ? ' (dry run)' : ''}: ${result.created} created, ${result.updated} updated, ${result.rejected} rejected`
+  );
+  return result;
+}
@@ -0,0 +1,165 @@
+// src/services/priceAnomalies.js - Hold back suspicious crawled prices for review
+// A scraper glitch ("0 €", an empty cell, a page redesign shifting every price)
+// should never reach customers. Flagged prices go to QuarantinedPrice instead.
+import { insertPrice } from './currentPrices.js';
+import { isOnRequestText, samePrice } from './priceParser.js';
+
+export const ANOMALY_REASONS = [
+  'zero',
+  'missing',
+  'jump',
+  'manufacturer-shift',
+];
+export const QUARANTINE_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Thresholds from the environment
+ * PRICE_JUMP_THRESHOLD - relative change of one price (0.5 = ±50 %)
+ * PRICE_SHIFT_THRESHOLD - median change across a manufacturer (0.15 = ±15 %)
+ * PRICE_SHIFT_MIN_SAMPLES - prices a manufacturer needs before the shift check applies
+ * @returns {Object} { jump, shift, shiftMinSamples }
+ */
+export function anomalyThresholds(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+  };
+  return {
+    jump: number(env.PRICE_JUMP_THRESHOLD, 0.5),
+    shift: number(env.PRICE_SHIFT_THRESHOLD, 0.15),
+    shiftMinSamples: Math.round(number(env.PRICE_SHIFT_MIN_SAMPLES, 10)),
+  };
+}
+
+// (new - old) / old - null when either side has no amount
+export const relativeChange = (oldCents, newCents) =>
+  oldCents && newCents !== null && newCents !== undefined
+    ? (newCents - oldCents) / oldCents
+    : null;
+
+const percent = (ratio) =>
+  `${ratio > 0 ? '+' : ''}${Math.round(ratio * 100)} %`;
+
+/**
+ * Check one crawled price against the action's live price
+ * @param {Object|null} latest - CurrentPrice row (null for new actions)
+ * @param {Object} price - parsePrice() result
+ * @param {Object} thresholds - anomalyThresholds()
+ * @returns {Object|null} { reason, detail } or null when the price looks fine
+ */
+export function detectAnomaly(latest, price, thresholds) {
+  if (price.priceCents === 0) {
+    return { reason: 'zero', detail: 'Price is 0 €' };
+  }
+
+  if (price.priceCents === null) {
+    // "Preis auf Anfrage" is a real answer - an empty or unreadable cell is not
+    if (!isOnRequestText(price.priceText)) {
+      return {
+        reason: 'missing',
+        detail: price.priceText
+          ? `No amount in "${price.priceText}"`
+          : 'Empty price text',
+      };
+    }
+    return null;
+  }
+
+  const change = relativeChange(latest?.priceCents, price.priceCents);
+  if (change !== null && Math.abs(change) > thresholds.jump) {
+    return { reason: 'jump', detail: `${percent(change)} against live price` };
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a manufacturer's prices moved together
+ * @param {number[]} changes - Relative change per priced action (0 = unchanged)
+ * @param {Object} thresholds - anomalyThresholds()
+ * @returns {Object|null} { median, samples, detail } when the shift is too large
+ */
+export function detectShift(changes, thresholds) {
+  if (changes.length < thresholds.shiftMinSamples) return null;
+
+  const sorted = [...changes].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median =
+    sorted.length % 2
+      ? sorted[middle]
+      : (sorted[middle - 1] + sorted[middle]) / 2;
+
+  if (Math.abs(median) < thresholds.shift) return null;
+  return {
+    median,
+    samples: changes.length,
+    detail: `Manufacturer median ${percent(median)} over ${changes.length} prices`,
+  };
+}
+
+/**
+ * Hold a crawled price back - a repeat of a pending entry only refreshes it
+ * @param {Object} db - PrismaClient or transaction client
+ * @param {Object} entry - parsePrice() fields plus actionId, crawlRunId,
+ *   previousPriceCents, reason, detail and optionally dateCollected
+ * @returns {Promise<Object>} QuarantinedPrice row
+ */
+export async function quarantinePrice(db, entry) {
+  const pending = await db.quarantinedPrice.findMany({
+    where: { actionId: entry.actionId, status: 'pending' },
+  });
+  const repeat = pending.find((row) => samePrice(row, entry));
+
+  if (repeat) {
+    return db.quarantinedPrice.update({
+      where: { id: repeat.id },
+      data: {
+        crawlRunId: entry.crawlRunId,
+        previousPriceCents: entry.previousPriceCents,
+        reason: entry.reason,
+        detail: entry.detail,
+        dateCollected: entry.dateCollected ?? new Date(),
+      },
+    });
+  }
+  return db.quarantinedPrice.create({ data: entry });
+}
+
+/**
+ * Settle a pending entry (run inside a transaction)
+ * Approving writes the price as if the crawler had accepted it - the
+ * projection only moves when nothing newer was crawled since.
+ * @param {Object} db - Prisma transaction client
+ * @param {number} id
+ * @param {string} status - "approved" or "rejected"
+ * @param {number} reviewerId - User ID
+ * @returns {Promise<Object|null>} { entry, price } or null when not pending
+ */
+export async function reviewQuarantinedPrice(db, id, status, reviewerId) {
+  const entry = await db.quarantinedPrice.findUniqueOrThrow({ where: { id } });
+  if (entry.status !== 'pending') return null;
+
+  let price = null;
+  if (status === 'approved') {
+    // Entries whose source was removed go to the primary source
+    const sourceId =
+      entry.sourceId ??
+      (await db.priceSource.findFirst({ where: { primary: true } }))?.id;
+
+    price = await insertPrice(db, {
+      actionId: entry.actionId,
+      sourceId,
+      priceCents: entry.priceCents,
+      maxPriceCents: entry.maxPriceCents,
+      priceType: entry.priceType,
+      priceText: entry.priceText,
+      dateCollected: entry.dateCollected,
+    });
+  }
+
+  const reviewed = await db.quarantinedPrice.update({
+    where: { id },
+    data: { status, reviewedById: reviewerId, reviewedAt: new Date() },
+  });
+  return { entry: reviewed, price };
+}
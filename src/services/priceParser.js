@@ -0,0 +1,155 @@
+// src/services/priceParser.js - German price texts → cents + price type
+// "1.299,00 €" → 129900 exact, "ab 49 €" → 4900 from, "49 - 79 €" → range,
+// "Preis auf Anfrage" → on-request (the text is kept as the reason)
+
+export const PRICE_TYPES = ['exact', 'from', 'range', 'on-request'];
+
+const ON_REQUEST_PATTERN = /anfrage|request|individuell|auf nachfrage/i;
+const FROM_PATTERN = /(^|\s)(ab|from|min\.?)\s*(?=[\d€])/i;
+const RANGE_PATTERN = /\d\s*(?:€|eur)?\s*(?:-|–|—|bis)\s*(?:€|eur)?\s*\d/i;
+
+// "Preis auf Anfrage" and friends - a deliberate non-price
+export const isOnRequestText = (text) => ON_REQUEST_PATTERN.test(text || '');
+
+// Amounts like "1.299,00", "49,-", "49,90", "1299", "49.90"
+const AMOUNT_PATTERN = /\d[\d.]*(?:,(?:\d{1,2}|-|–))?/g;
+
+const CURRENCY_BEFORE = /(?:€|eur)\s*$/i;
+const CURRENCY_AFTER = /^\s*(?:€|eur)/i;
+const RANGE_SEPARATOR = /^\s*(?:€|eur)?\s*(?:-|–|—|bis)\s*(?:€|eur)?\s*$/i;
+
+/**
+ * The amount next to a currency sign, plus a range partner joined by "-"/"bis"
+ * "iPhone 13: 99 €" → 99 €, not 13 €
+ * @param {string} text
+ * @param {Object[]} matches - { cents, start, end } per amount, in text order
+ * @returns {Object[]|null} null when no amount touches a currency sign
+ */
+function currencyAmounts(text, matches) {
+  const index = matches.findIndex(
+    ({ start, end }) =>
+      CURRENCY_BEFORE.test(text.slice(0, start)) ||
+      CURRENCY_AFTER.test(text.slice(end))
+  );
+  if (index === -1) return null;
+
+  const joined = (a, b) =>
+    Boolean(a && b) && RANGE_SEPARATOR.test(text.slice(a.end, b.start));
+  const [previous, anchor, next] = [
+    matches[index - 1],
+    matches[index],
+    matches[index + 1],
+  ];
+  return [
+    ...(joined(previous, anchor) ? [previous] : []),
+    anchor,
+    ...(joined(anchor, next) ? [next] : []),
+  ];
+}
+
+/**
+ * Parse one German-formatted amount into cents
+ * @param {string} text - e.g. "1.299,00" or "49,-"
+ * @returns {number|null}
+ */
+export function parseAmount(text) {
+  let [whole, fraction = ''] = String(text).split(',');
+  if (!/^\d/.test(whole)) return null;
+
+  // Without a comma a dot is a decimal point only before 1-2 digits ("49.90")
+  if (!text.includes(',') && /\.\d{1,2}$/.test(whole)) {
+    [whole, fraction] = whole.split(/\.(?=\d{1,2}$)/);
+  }
+
+  const euros = parseInt(whole.replace(/\./g, ''), 10);
+  const cents = /^\d+$/.test(fraction) ? parseInt(fraction.padEnd(2, '0')) : 0;
+  return Number.isFinite(euros) ? euros * 100 + cents : null;
+}
+
+/**
+ * Parse a crawled price text
+ * @param {string} text
+ * @returns {Object} { priceCents, maxPriceCents, priceType, priceText }
+ */
+export function parsePrice(text) {
+  const priceText = String(text ?? '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const onRequest = {
+    priceCents: null,
+    maxPriceCents: null,
+    priceType: 'on-request',
+    priceText: priceText || null,
+  };
+
+  if (ON_REQUEST_PATTERN.test(priceText)) return onRequest;
+
+  const matches = [...priceText.matchAll(AMOUNT_PATTERN)]
+    .map((match) => ({
+      cents: parseAmount(match[0]),
+      start: match.index,
+      end: match.index + match[0].length,
+    }))
+    .filter(({ cents }) => cents !== null);
+
+  // No number at all - nothing we could quote
+  if (matches.length === 0) return onRequest;
+
+  // Other numbers ("iPhone 13") only count when no amount has a currency sign
+  const priced = currencyAmounts(priceText, matches);
+  const amounts = (priced || matches).map(({ cents }) => cents);
+  const isRange = priced
+    ? priced.length > 1
+    : amounts.length > 1 && RANGE_PATTERN.test(priceText);
+
+  if (isRange) {
+    const [min, max] = [Math.min(...amounts), Math.max(...amounts)];
+    return {
+      priceCents: min,
+      maxPriceCents: max,
+      priceType: min === max ? 'exact' : 'range',
+      priceText,
+    };
+  }
+
+  return {
+    priceCents: amounts[0],
+    maxPriceCents: null,
+    priceType: FROM_PATTERN.test(` ${priceText}`) ? 'from' : 'exact',
+    priceText,
+  };
+}
+
+// Same price in all stored fields - price text alone is no change
+export const samePrice = (a, b) =>
+  a.priceCents === b.priceCents &&
+  (a.maxPriceCents ?? null) === (b.maxPriceCents ?? null) &&
+  a.priceType === b.priceType;
+
+export const centsToEuros = (cents) =>
+  cents === null || cents === undefined ? null : cents / 100;
+
+// "1.299 €" / "49,90 €" - whole amounts without decimals
+export function formatEuros(cents) {
+  return new Intl.NumberFormat('de-DE', {
+    style: 'currency',
+    currency: 'EUR',
+    minimumFractionDigits: cents % 100 === 0 ? 0 : 2,
+  }).format(cents / 100);
+}
+
+/**
+ * Customer-facing text for a stored price
+ * @param {Object} price - { priceCents, maxPriceCents, priceType }
+ * @returns {string|null}
+ */
+export function formatPrice({ priceCents, maxPriceCents, priceType }) {
+  if (priceType === 'on-request' || priceCents === null) {
+    return 'Preis auf Anfrage';
+  }
+  if (priceType === 'from') return `ab ${formatEuros(priceCents)}`;
+  if (priceType === 'range' && maxPriceCents !== null) {
+    return `${formatEuros(priceCents)} – ${formatEuros(maxPriceCents)}`;
+  }
+  return formatEuros(priceCents);
+}
@@ -0,0 +1,133 @@
+// src/services/priceRetention.js - Thin out old price history without losing changes
+// Rows newer than the cutoff stay untouched. Older rows are kept when they
+// change the price or are the first observation of their day/week; repeated
+// prices in between go. Price history therefore stays a correct step function
+// per action and price source.
+import { bucketStart } from './priceTrends.js';
+import { samePrice } from './priceParser.js';
+
+export const RETENTION_BUCKETS = ['day', 'week'];
+
+const ACTION_BATCH = 200;
+const DELETE_BATCH = 500;
+
+/**
+ * Pick the rows to delete for one action and source
+ * @param {Object[]} rows - { id, priceCents, maxPriceCents, priceType, dateCollected }
+ *   older than the cutoff, oldest first
+ * @param {string} bucket - "day" or "week"
+ * @param {Set<number>} protectedIds - Rows that must stay (current prices)
+ * @returns {number[]} Price IDs to delete
+ */
+export function planRetention(rows, bucket, protectedIds = new Set()) {
+  const remove = [];
+  let previous = null;
+  let lastBucket = null;
+
+  rows.forEach((row) => {
+    const rowBucket = bucketStart(row.dateCollected, bucket).getTime();
+    const keep =
+      !previous ||
+      !samePrice(row, previous) ||
+      rowBucket !== lastBucket ||
+      protectedIds.has(row.id);
+
+    if (keep) lastBucket = rowBucket;
+    else remove.push(row.id);
+    previous = row;
+  });
+
+  return remove;
+}
+
+/**
+ * Apply the retention policy to the Price table
+ * @param {PrismaClient} db
+ * @param {Object} [options]
+ * @param {number} [options.days=90] - Full resolution for this many days
+ * @param {string} [options.bucket='day'] - Resolution kept for older rows
+ * @param {boolean} [options.dryRun=false] - Count only, delete nothing
+ * @returns {Promise<Object>} { cutoff, actions, scanned, deleted }
+ */
+export async function prunePriceHistory(
+  db,
+  { days = 90, bucket = 'day', dryRun = false } = {}
+) {
+  if (!RETENTION_BUCKETS.includes(bucket)) {
+    throw new Error(`bucket must be one of: ${RETENTION_BUCKETS.join(', ')}`);
+  }
+  if (!(days > 0)) {
+    throw new Error('days must be a positive number');
+  }
+
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const result = { cutoff, bucket, dryRun, actions: 0, scanned: 0, deleted: 0 };
+
+  const groups = await db.price.groupBy({
+    by: ['actionId'],
+    where: { dateCollected: { lt: cutoff } },
+  });
+  const actionIds = groups.map((group) => group.actionId);
+
+  console.log(
+    `🧹 Price retention: ${actionIds.length} actions with rows before ${cutoff.toISOString()} (${bucket})`
+  );
+
+  for (let i = 0; i < actionIds.length; i += ACTION_BATCH) {
+    const batch = actionIds.slice(i, i + ACTION_BATCH);
+
+    const [rows, current] = await Promise.all([
+      db.price.findMany({
+        where: { actionId: { in: batch }, dateCollected: { lt: cutoff } },
+        orderBy: [{ actionId: 'asc' }, { dateCollected: 'asc' }, { id: 'asc' }],
+        select: {
+          id: true,
+          actionId: true,
+          sourceId: true,
+          priceCents: true,
+          maxPriceCents: true,
+          priceType: true,
+          dateCollected: true,
+        },
+      }),
+      db.currentPrice.findMany({
+        where: { actionId: { in: batch } },
+        select: { priceId: true },
+      }),
+    ]);
+
+    // Current prices point at their Price row - never remove those
+    const protectedIds = new Set(current.map((c) => c.priceId));
+
+    // Each source has its own history - interleaved rows are no repeats
+    const histories = new Map();
+    const actions = new Set();
+    rows.forEach((row) => {
+      const key = `${row.actionId}:${row.sourceId}`;
+      if (!histories.has(key)) histories.set(key, []);
+      histories.get(key).push(row);
+      actions.add(row.actionId);
+    });
+
+    const remove = [...histories.values()].flatMap((history) =>
+      planRetention(history, bucket, protectedIds)
+    );
+
+    if (!dryRun) {
+      for (let j = 0; j < remove.length; j += DELETE_BATCH) {
+        await db.price.deleteMany({
+          where: { id: { in: remove.slice(j, j + DELETE_BATCH) } },
+        });
+      }
+    }
+
+    result.actions += actions.size;
+    result.scanned += rows.length;
+    result.deleted += remove.length;
+  }
+
+  console.log(
+    `✅ Price retention ${dryRun ? '(dry run) ' : ''}done: ${result.deleted} of ${result.scanned} old rows ${dryRun ? 'would be ' : ''}removed`
+  );
+  return result;
+}
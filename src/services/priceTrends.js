@@ -0,0 +1,173 @@
+// src/services/priceTrends.js - Downsampled price series from the change-only history
+// Price rows are only written when a price changes, so each action's price is
+// carried forward until its next row. Buckets use server-local calendar days.
+
+export const INTERVALS = ['day', 'week', 'month'];
+
+// Start of the day/week (Monday)/month containing `date`
+export function bucketStart(date, interval) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+
+  if (interval === 'week') {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  if (interval === 'month') start.setDate(1);
+  return start;
+}
+
+// Start of the following bucket
+function nextBucket(start, interval) {
+  const next = new Date(start);
+  if (interval === 'day') next.setDate(next.getDate() + 1);
+  if (interval === 'week') next.setDate(next.getDate() + 7);
+  if (interval === 'month') next.setMonth(next.getMonth() + 1);
+  return next;
+}
+
+/**
+ * Bucket boundaries covering [from, to)
+ * @returns {Object[]} { start, end } per bucket
+ */
+export function bucketRanges(from, to, interval) {
+  const ranges = [];
+  let start = bucketStart(from, interval);
+
+  while (start < to) {
+    const end = nextBucket(start, interval);
+    ranges.push({ start, end });
+    start = end;
+  }
+  return ranges;
+}
+
+// YYYY-MM-DD in server-local time
+const localDate = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+
+const round = (value, digits = 2) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+export const percentChange = (oldValue, newValue) =>
+  oldValue ? round(((newValue - oldValue) / oldValue) * 100, 1) : null;
+
+/**
+ * Summarize price history into buckets
+ * Per bucket: min/max over every price in effect during it, avg over the
+ * prices in effect at its end. The period change compares the same set of
+ * actions (priced at both ends) so new or removed actions don't skew it.
+ * @param {Object[]} rows - { actionId, price, dateCollected } up to `to`, any order
+ * @param {Object} options - { interval, from, to } - `from` snaps to its bucket start
+ * @returns {Object} { series, change }
+ */
+export function buildPriceTrends(rows, { interval, from, to }) {
+  const ranges = bucketRanges(from, to, interval);
+  const periodStart = ranges[0]?.start ?? from;
+  const buckets = ranges.map(() => ({
+    min: null,
+    max: null,
+    sum: 0,
+    actions: 0,
+    changes: 0,
+  }));
+
+  // History per action, oldest first
+  const byAction = new Map();
+  [...rows]
+    .sort((a, b) => a.dateCollected - b.dateCollected)
+    .forEach((row) => {
+      if (!byAction.has(row.actionId)) byAction.set(row.actionId, []);
+      byAction.get(row.actionId).push(row);
+    });
+
+  const change = { actions: 0, startSum: 0, endSum: 0 };
+
+  byAction.forEach((history) => {
+    let i = 0;
+    let current = null;
+
+    // Price carried into the period
+    while (i < history.length && history[i].dateCollected < periodStart) {
+      current = history[i++].price;
+    }
+    const startPrice = current;
+
+    ranges.forEach(({ end }, index) => {
+      const bucket = buckets[index];
+      const seen = current !== null ? [current] : [];
+
+      // Repeated prices (kept as daily/weekly points) are no change
+      while (i < history.length && history[i].dateCollected < end) {
+        const price = history[i++].price;
+        if (price !== current) bucket.changes++;
+        current = price;
+        if (current !== null) seen.push(current);
+      }
+
+      if (seen.length > 0) {
+        bucket.min = Math.min(bucket.min ?? Infinity, ...seen);
+        bucket.max = Math.max(bucket.max ?? -Infinity, ...seen);
+      }
+      if (current !== null) {
+        bucket.sum += current;
+        bucket.actions++;
+      }
+    });
+
+    if (startPrice !== null && current !== null) {
+      change.actions++;
+      change.startSum += startPrice;
+      change.endSum += current;
+    }
+  });
+
+  const series = ranges.map(({ start, end }, index) => {
+    const { sum, ...bucket } = buckets[index];
+    return {
+      period: localDate(start),
+      start,
+      end,
+      ...bucket,
+      avg: bucket.actions ? round(sum / bucket.actions) : null,
+    };
+  });
+
+  const startAvg = change.actions ? change.startSum / change.actions : null;
+  const endAvg = change.actions ? change.endSum / change.actions : null;
+
+  return {
+    series,
+    change: {
+      actions: change.actions,
+      startAvg: round(startAvg),
+      endAvg: round(endAvg),
+      percent: change.actions ? percentChange(startAvg, endAvg) : null,
+    },
+  };
+}
+
+/**
+ * Rank price changes by relative size, biggest first
+ * @param {Object[]} changes - PriceChange rows with oldPriceCents/newPriceCents
+ * @param {number} limit
+ * @returns {Object[]} Changes with `differenceCents` and `percent`
+ */
+export function rankMovers(changes, limit) {
+  return changes
+    .filter((c) => c.oldPriceCents !== null && c.newPriceCents !== null)
+    .map((c) => ({
+      ...c,
+      differenceCents: c.newPriceCents - c.oldPriceCents,
+      percent: percentChange(c.oldPriceCents, c.newPriceCents),
+    }))
+    .sort(
+      (a, b) =>
+        Math.abs(b.percent ?? 0) - Math.abs(a.percent ?? 0) ||
+        Math.abs(b.differenceCents) - Math.abs(a.differenceCents)
+    )
+    .slice(0, limit);
+}
@@ -0,0 +1,142 @@
+// src/services/pricingRules.js - Shop prices derived from crawled (source) prices
+// One rule applies per action: highest priority first, then the most specific
+// scope (device > category > manufacturer > all), then campaigns (date-bounded)
+// over standing rules, then the newest. Overrides still beat every rule.
+
+const SCOPE_WEIGHTS = { deviceId: 4, categoryId: 2, manufacturerId: 1 };
+
+// How narrowly a rule is scoped - device + category beats device alone
+export const specificity = (rule) =>
+  Object.entries(SCOPE_WEIGHTS).reduce(
+    (sum, [field, weight]) => sum + (rule[field] ? weight : 0),
+    0
+  );
+
+const isCampaign = (rule) => Boolean(rule.validFrom || rule.validUntil);
+
+// Order in which rules are tried - the first match wins
+export const compareRules = (a, b) =>
+  b.priority - a.priority ||
+  specificity(b) - specificity(a) ||
+  isCampaign(b) - isCampaign(a) ||
+  b.id - a.id;
+
+// Active and inside its validity window (validUntil exclusive)
+export const isRuleLive = (rule, at = new Date()) =>
+  rule.active &&
+  (!rule.validFrom || rule.validFrom <= at) &&
+  (!rule.validUntil || rule.validUntil > at);
+
+/**
+ * Whether a rule covers an action - every scope field set on the rule must match
+ * @param {Object} rule
+ * @param {Object} target - { manufacturerId, categoryId, deviceId }
+ */
+export const matchesScope = (rule, target) =>
+  Object.keys(SCOPE_WEIGHTS).every(
+    (field) => !rule[field] || rule[field] === target[field]
+  );
+
+// Round up to the next whole euro ending in 9: 123,45 € → 129 €, 129 € stays
+export const roundToNine = (cents) =>
+  (Math.ceil((cents + 100) / 1000) * 10 - 1) * 100;
+
+/**
+ * Apply one rule to an amount: markup %, markup €, x9 rounding, floor/ceiling
+ * @param {number} cents
+ * @param {Object} rule
+ * @returns {number}
+ */
+export function applyRuleToCents(cents, rule) {
+  let result = Math.round(cents * (1 + rule.markupPercent / 100));
+  result += rule.markupCents;
+  if (rule.roundToNine) result = roundToNine(result);
+  if (rule.floorCents !== null && rule.floorCents !== undefined) {
+    result = Math.max(result, rule.floorCents);
+  }
+  if (rule.ceilingCents !== null && rule.ceilingCents !== undefined) {
+    result = Math.min(result, rule.ceilingCents);
+  }
+  return Math.max(result, 0);
+}
+
+/**
+ * Shop price for a stored price - both bounds of a range move
+ * @param {Object} row - CurrentPrice/Price row (priceCents, maxPriceCents, priceType)
+ * @param {Object} rule
+ * @returns {Object} Row with derived amounts - unchanged without an amount
+ */
+export function applyRule(row, rule) {
+  if (!row || row.priceCents === null) return row;
+
+  return {
+    ...row,
+    priceCents: applyRuleToCents(row.priceCents, rule),
+    maxPriceCents:
+      row.maxPriceCents === null || row.maxPriceCents === undefined
+        ? null
+        : applyRuleToCents(row.maxPriceCents, rule),
+  };
+}
+
+/**
+ * Rule lookup for one point in time
+ * @param {Object[]} rules - PricingRule rows
+ * @param {Date} [at]
+ * @returns {Object} { rules, ruleFor(target, current) }
+ */
+export function createPricer(rules, at = new Date()) {
+  const live = rules.filter((rule) => isRuleLive(rule, at)).sort(compareRules);
+
+  return {
+    rules: live,
+
+    // Rule for an action's current price - null without one or without an amount
+    ruleFor(target, current) {
+      if (current?.priceCents === null || current?.priceCents === undefined) {
+        return null;
+      }
+      return live.find((rule) => matchesScope(rule, target)) || null;
+    },
+  };
+}
+
+/**
+ * Compare shop prices under two rule sets - for dry runs of rule changes
+ * @param {Object[]} items - { target, current, ...anything } per action
+ *   without an active override; `current` is its CurrentPrice row
+ * @param {Object[]} before - Rules as stored
+ * @param {Object[]} after - Rules with the change applied
+ * @param {Date} [at] - Evaluate campaign windows at this time
+ * @returns {Object[]} Items whose price changes, with before/after rows,
+ *   oldRuleId/newRuleId and differenceCents
+ */
+export function diffPricing(items, before, after, at = new Date()) {
+  const oldPricer = createPricer(before, at);
+  const newPricer = createPricer(after, at);
+
+  return items.flatMap(({ target, current, ...item }) => {
+    const oldRule = oldPricer.ruleFor(target, current);
+    const newRule = newPricer.ruleFor(target, current);
+    const oldRow = oldRule ? applyRule(current, oldRule) : current;
+    const newRow = newRule ? applyRule(current, newRule) : current;
+
+    if (
+      oldRow.priceCents === newRow.priceCents &&
+      oldRow.maxPriceCents === newRow.maxPriceCents
+    ) {
+      return [];
+    }
+    return [
+      {
+        ...item,
+        current,
+        before: oldRow,
+        after: newRow,
+        oldRuleId: oldRule?.id ?? null,
+        newRuleId: newRule?.id ?? null,
+        differenceCents: newRow.priceCents - oldRow.priceCents,
+      },
+    ];
+  });
+}
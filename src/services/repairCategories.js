@@ -0,0 +1,90 @@
+// src/services/repairCategories.js - Map free-text action names onto RepairCategory rows
+import { normalizeName } from './catalogAliases.js';
+
+// Category for names no keyword matches
+export const FALLBACK_CATEGORY = 'other';
+
+const parseKeywords = (keywords) =>
+  String(keywords || '')
+    .split(',')
+    .map(normalizeName)
+    .filter(Boolean);
+
+/**
+ * Build a categorizer from category rows
+ * The longest matching keyword wins ("Rückkamera" → camera, not back-glass),
+ * substrings count so German compounds like "Displaytausch" match "display"
+ * @param {Object[]} categories - RepairCategory rows
+ * @returns {Function} (actionName) => category or null
+ */
+export function createCategorizer(categories) {
+  const rules = categories.flatMap((category) =>
+    parseKeywords(category.keywords).map((keyword) => ({ keyword, category }))
+  );
+  const fallback =
+    categories.find((category) => category.slug === FALLBACK_CATEGORY) || null;
+
+  return (actionName) => {
+    const name = normalizeName(actionName);
+    const compact = name.replace(/ /g, '');
+
+    let best = null;
+    rules.forEach((rule) => {
+      const matches =
+        name.includes(rule.keyword) ||
+        compact.includes(rule.keyword.replace(/ /g, ''));
+      if (
+        matches &&
+        (!best ||
+          rule.keyword.length > best.keyword.length ||
+          (rule.keyword.length === best.keyword.length &&
+            rule.category.sortOrder < best.category.sortOrder))
+      ) {
+        best = rule;
+      }
+    });
+
+    return best?.category || fallback;
+  };
+}
+
+export async function loadCategorizer(db) {
+  return createCategorizer(await db.repairCategory.findMany());
+}
+
+/**
+ * Assign categories to actions
+ * @param {PrismaClient} db
+ * @param {Object} [options]
+ * @param {boolean} [options.all=false] - Re-categorize actions that already have one
+ * @returns {Promise<Object>} { checked, updated, byCategory }
+ */
+export async function assignCategories(db, { all = false } = {}) {
+  const categorize = await loadCategorizer(db);
+  const actions = await db.action.findMany({
+    where: all ? {} : { categoryId: null },
+    select: { id: true, name: true, categoryId: true },
+  });
+
+  // One updateMany per category instead of one update per action
+  const idsByCategory = new Map();
+  actions.forEach((action) => {
+    const category = categorize(action.name);
+    if (!category || category.id === action.categoryId) return;
+
+    if (!idsByCategory.has(category)) idsByCategory.set(category, []);
+    idsByCategory.get(category).push(action.id);
+  });
+
+  const byCategory = {};
+  for (const [category, ids] of idsByCategory) {
+    await db.action.updateMany({
+      where: { id: { in: ids } },
+      data: { categoryId: category.id },
+    });
+    byCategory[category.slug] = ids.length;
+  }
+
+  const updated = Object.values(byCategory).reduce((a, b) => a + b, 0);
+  return { checked: actions.length, updated, byCategory };
+}
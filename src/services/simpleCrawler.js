@@ -1,110 +1,523 @@
 // src/services/simpleCrawler.js - KISS principle
 import { PrismaClient } from '@prisma/client';
-import puppeteer from 'puppeteer';
+import { createSource, DEFAULT_SOURCE } from './crawlerSources.js';
+import { loadAliasResolver } from './catalogAliases.js';
+import { loadCategorizer } from './repairCategories.js';
+import {
+  insertPrice,
+  latestPrice,
+  resolvePriceSource,
+} from './currentPrices.js';
+import { formatPrice, parsePrice, samePrice } from './priceParser.js';
+import {
+  anomalyThresholds,
+  detectAnomaly,
+  detectShift,
+  quarantinePrice,
+  relativeChange,
+} from './priceAnomalies.js';
 
 const prisma = new PrismaClient();
 
-export async function crawlPrices() {
-  console.log('🕷️ Starting price crawl...');
+// Classify a price against the latest stored one - null means "no change"
+export function classifyPriceChange(oldPrice, newPrice) {
+  if (oldPrice === newPrice) return null;
+  if (oldPrice === null || newPrice === null) return 'changed';
+  return newPrice > oldPrice ? 'increase' : 'decrease';
+}
+
+// Counter fields tracked per run
+const COUNTER_FIELDS = [
+  'manufacturers',
+  'devices',
+  'actions',
+  'newDevices',
+  'newActions',
+  'removedActions',
+  'priceIncreases',
+  'priceDecreases',
+  'unchanged',
+  'quarantined',
+];
+
+// Run summary kept in memory - counters continue from a resumed run
+function createRunSummary(run = {}) {
+  const summary = { changes: [] };
+  COUNTER_FIELDS.forEach((field) => (summary[field] = run[field] || 0));
+  return summary;
+}
+
+// Check a crawled price against the latest stored one
+// `price` is a parsePrice() result - a type change alone ("ab 49 €" → "49 €") counts too
+// Anomalous prices go to quarantine; accepted ones are only written by
+// publishPrices() once the manufacturer passed the shift check
+// Returns { status: "unchanged" | "quarantined" | "accepted", latest, type }
+async function recordPrice(action, price, context) {
+  const { isNewAction, runId, priceSource, summary, thresholds } = context;
+  const latest = isNewAction
+    ? null
+    : await latestPrice(prisma, action.id, priceSource);
+
+  const type = isNewAction
+    ? 'new-action'
+    : !latest
+      ? 'changed'
+      : samePrice(latest, price)
+        ? null
+        : classifyPriceChange(latest.priceCents, price.priceCents) || 'changed';
+
+  if (!type) {
+    summary.unchanged++;
+    return { status: 'unchanged', latest };
+  }
+
+  const anomaly = detectAnomaly(latest, price, thresholds);
+  if (anomaly) {
+    await quarantinePrice(prisma, {
+      actionId: action.id,
+      crawlRunId: runId,
+      sourceId: priceSource.id,
+      ...price,
+      previousPriceCents: latest?.priceCents ?? null,
+      ...anomaly,
+    });
+    summary.quarantined++;
+    return { status: 'quarantined', latest };
+  }
+
+  return { status: 'accepted', latest, type };
+}
 
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+// Write a manufacturer's accepted prices - `accepted` holds
+// { action, price, latest, type, dateCollected } per price
+async function publishPrices(accepted, priceSource, summary) {
+  await prisma.$transaction(
+    async (tx) => {
+      for (const { action, price, dateCollected } of accepted) {
+        await insertPrice(tx, {
+          actionId: action.id,
+          sourceId: priceSource.id,
+          ...price,
+          dateCollected,
+        });
+      }
+    },
+    { timeout: 60000 }
+  );
+
+  accepted.forEach(({ action, price, latest, type }) => {
+    if (type === 'increase') summary.priceIncreases++;
+    if (type === 'decrease') summary.priceDecreases++;
+    summary.changes.push({
+      type,
+      deviceId: action.deviceId,
+      actionId: action.id,
+      oldPriceCents: latest?.priceCents ?? null,
+      newPriceCents: price.priceCents,
+    });
   });
+}
+
+// Hold back a manufacturer's changed prices after a failed shift check -
+// none of them was written yet
+async function quarantineShift(runId, shifted, shift, priceSource, summary) {
+  await prisma.$transaction(
+    async (tx) => {
+      for (const { action, price, latest, dateCollected } of shifted) {
+        await quarantinePrice(tx, {
+          actionId: action.id,
+          crawlRunId: runId,
+          sourceId: priceSource.id,
+          ...price,
+          previousPriceCents: latest.priceCents,
+          dateCollected,
+          reason: 'manufacturer-shift',
+          detail: shift.detail,
+        });
+      }
+    },
+    { timeout: 60000 }
+  );
+  summary.quarantined += shifted.length;
+}
+
+// Counter fields of a run summary (everything but the change log)
+const runCounts = ({ changes: _changes, ...counts }) => counts;
 
-  const page = await browser.newPage();
-  await page.goto('https://www.smartphonereparatur-muenchen.de/');
+// Flush pending changes and counts - with checkpoints for finished devices
+async function saveProgress(runId, summary, checkpoints = []) {
+  const changes = summary.changes.splice(0);
+
+  await prisma.$transaction([
+    ...(checkpoints.length > 0
+      ? [
+          prisma.crawlCheckpoint.createMany({
+            data: checkpoints.map((c) => ({ crawlRunId: runId, ...c })),
+          }),
+        ]
+      : []),
+    ...(changes.length > 0
+      ? [
+          prisma.priceChange.createMany({
+            data: changes.map((change) => ({ ...change, crawlRunId: runId })),
+          }),
+        ]
+      : []),
+    prisma.crawlRun.update({
+      where: { id: runId },
+      data: runCounts(summary),
+    }),
+  ]);
+}
+
+// Keep a run from looking dead between saves (see STALE_RUN_MS)
+const heartbeat = (runId) =>
+  prisma.crawlRun.update({
+    where: { id: runId },
+    data: { updatedAt: new Date() },
+  });
+
+// Case-insensitive name filter - no filter matches everything
+const matchesFilter = (name, filter) =>
+  !filter || name.toLowerCase() === filter.toLowerCase();
+
+const checkpointKey = (manufacturer, device) => `${manufacturer}::${device}`;
+
+const RESUMABLE_STATUSES = ['failed', 'cancelled', 'running'];
+
+// A "running" run without a heartbeat for this long is treated as dead
+const STALE_RUN_MS = 10 * 60 * 1000;
+
+// Refuse to start while another process is crawling
+async function assertNoActiveRun() {
+  const active = await prisma.crawlRun.findFirst({
+    where: {
+      status: 'running',
+      updatedAt: { gt: new Date(Date.now() - STALE_RUN_MS) },
+    },
+  });
+
+  if (active) {
+    throw new Error(`Crawl run ${active.id} is still running`);
+  }
+}
+
+// Start a new run or reopen an unfinished one
+async function openRun({
+  manufacturer = null,
+  device = null,
+  resume = null,
+  source = process.env.CRAWLER_SOURCE || DEFAULT_SOURCE,
+}) {
+  await assertNoActiveRun();
+
+  if (!resume) {
+    const run = await prisma.crawlRun.create({
+      data: {
+        source,
+        manufacturerFilter: manufacturer,
+        deviceFilter: device,
+      },
+    });
+    return { run, checkpoints: [] };
+  }
+
+  // resume = run ID or "latest" for the most recent unfinished run
+  const previous =
+    resume === 'latest'
+      ? await prisma.crawlRun.findFirst({
+          where: { status: { in: RESUMABLE_STATUSES } },
+          orderBy: { startedAt: 'desc' },
+        })
+      : await prisma.crawlRun.findUnique({ where: { id: parseInt(resume) } });
+
+  if (!previous) {
+    throw new Error(`No crawl run found to resume (${resume})`);
+  }
+  if (!RESUMABLE_STATUSES.includes(previous.status)) {
+    throw new Error(`Crawl run ${previous.id} is ${previous.status}`);
+  }
+
+  const run = await prisma.crawlRun.update({
+    where: { id: previous.id },
+    data: {
+      status: 'running',
+      error: null,
+      finishedAt: null,
+      resumedAt: new Date(),
+      resumeCount: { increment: 1 },
+    },
+    include: { checkpoints: true },
+  });
+
+  console.log(
+    `⏯️ Resuming crawl run ${run.id} (${run.checkpoints.length} devices done)`
+  );
+
+  return { run, checkpoints: run.checkpoints };
+}
+
+// Actions stored for a device that the calculator no longer offers
+function recordRemovedActions(storedActions, seenActionIds, summary) {
+  storedActions
+    .filter((action) => !seenActionIds.has(action.id))
+    .forEach((action) => {
+      summary.removedActions++;
+      summary.changes.push({
+        type: 'removed-action',
+        deviceId: action.deviceId,
+        actionId: action.id,
+        oldPriceCents: null,
+        newPriceCents: null,
+      });
+    });
+}
+
+/**
+ * Crawl repair prices into the database
+ * @param {Object} options
+ * @param {string} [options.manufacturer] - Only crawl this manufacturer
+ * @param {string} [options.device] - Only crawl this device
+ * @param {number|string} [options.resume] - Run ID or "latest" to continue an unfinished run
+ * @param {string} [options.source] - Source adapter name (see crawlerSources.js)
+ * @param {AbortSignal} [options.signal] - Cancels the crawl after the current action
+ * @param {Function} [options.onStart] - Called with the CrawlRun once it is open
+ */
+export async function crawlPrices(options = {}) {
+  console.log('🕷️ Starting price crawl...', options);
+
+  const { signal = null, onStart = () => {} } = options;
+  const { run, checkpoints } = await openRun(options);
+  const summary = createRunSummary(run);
+  onStart(run);
+
+  // Stop between actions when cancelled
+  const checkCancelled = () => {
+    if (signal?.aborted) throw new Error('Crawl cancelled');
+  };
+  const completed = new Set(
+    checkpoints.map((c) => checkpointKey(c.manufacturer, c.device))
+  );
+  const crawledManufacturers = new Set(checkpoints.map((c) => c.manufacturer));
+
+  // A resumed run keeps its original scope and source
+  const manufacturerFilter = run.manufacturerFilter;
+  const deviceFilter = run.deviceFilter;
+
+  let source = null;
+  let status = 'completed';
+  let errorMessage = null;
+  // Counts saved with the last finished manufacturer - null between manufacturers
+  let committed = null;
+
+  const thresholds = anomalyThresholds();
 
   try {
-    // Wait for calculator
-    await page.waitForSelector('#manufacturer');
+    // Map alternative spellings onto existing rows
+    const aliases = await loadAliasResolver(prisma);
+    const categorize = await loadCategorizer(prisma);
+    const priceSource = await resolvePriceSource(prisma, run.source);
+
+    source = createSource(run.source);
+    await source.open();
 
     // Get manufacturers - Algorithmic Elegance
-    const manufacturers = await page.evaluate(() =>
-      Array.from(document.querySelectorAll('#manufacturer option'))
-        .filter((opt) => opt.value)
-        .map((opt) => ({ value: opt.value, name: opt.textContent.trim() }))
+    const manufacturers = (await source.listManufacturers()).filter((mfg) =>
+      matchesFilter(mfg.name, manufacturerFilter)
     );
 
+    if (manufacturers.length === 0) {
+      throw new Error(`Manufacturer not found: ${manufacturerFilter}`);
+    }
+
     for (const mfg of manufacturers) {
+      committed = runCounts(summary);
+
       // Upsert manufacturer - Economy of Expression
       const manufacturer = await prisma.manufacturer.upsert({
         where: { name: mfg.name },
         update: {},
         create: { name: mfg.name },
       });
+      const knownDevices = await prisma.device.findMany({
+        where: { manufacturerId: manufacturer.id },
+      });
 
       // Select manufacturer and get devices
-      await page.select('#manufacturer', mfg.value);
-      await page.waitForFunction(
-        () => document.querySelector('#device').options.length > 1
+      const devices = (await source.listDevices(mfg)).filter((dev) =>
+        matchesFilter(dev.name, deviceFilter)
       );
 
-      const devices = await page.evaluate(() =>
-        Array.from(document.querySelectorAll('#device option'))
-          .filter((opt) => opt.value)
-          .map((opt) => ({ value: opt.value, name: opt.textContent.trim() }))
-      );
+      // Accepted prices and device checkpoints wait until the whole
+      // manufacturer passed the shift check - a resume redoes its devices
+      const shiftChanges = [];
+      const accepted = [];
+      const checkpoints = [];
 
       for (const dev of devices) {
-        // Upsert device
-        const device = await prisma.device.upsert({
-          where: {
-            name_manufacturerId: {
-              name: dev.name,
-              manufacturerId: manufacturer.id,
-            },
-          },
-          update: {},
-          create: { name: dev.name, manufacturerId: manufacturer.id },
+        // Skip devices finished before the run was interrupted
+        if (completed.has(checkpointKey(mfg.name, dev.name))) {
+          console.log(`⏭️ Already crawled: ${mfg.name} ${dev.name}`);
+          continue;
+        }
+
+        // Find (exact name, alias or normalized name) or create device
+        let device = aliases.matchDevice(manufacturer, dev.name, knownDevices);
+
+        if (!device) {
+          device = await prisma.device.create({
+            data: { name: dev.name, manufacturerId: manufacturer.id },
+          });
+          knownDevices.push(device);
+          summary.newDevices++;
+          summary.changes.push({
+            type: 'new-device',
+            deviceId: device.id,
+            actionId: null,
+            oldPriceCents: null,
+            newPriceCents: null,
+          });
+          console.log(`🆕 New device: ${mfg.name} ${dev.name}`);
+        }
+
+        const storedActions = await prisma.action.findMany({
+          where: { deviceId: device.id },
         });
+        const seenActionIds = new Set();
 
         // Get actions and prices
-        await page.select('#device', dev.value);
-        await page.waitForFunction(
-          () => document.querySelector('#action').options.length > 1
-        );
-
-        const actions = await page.evaluate(() =>
-          Array.from(document.querySelectorAll('#action option'))
-            .filter((opt) => opt.value)
-            .map((opt) => ({ value: opt.value, name: opt.textContent.trim() }))
-        );
+        const actions = await source.listActions(dev);
 
         for (const act of actions) {
-          // Upsert action
-          const action = await prisma.action.upsert({
-            where: { name_deviceId: { name: act.name, deviceId: device.id } },
-            update: {},
-            create: { name: act.name, deviceId: device.id },
-          });
+          checkCancelled();
+
+          // Find or create action under its canonical name
+          let action = aliases.matchAction(act.name, storedActions);
+          const isNewAction = !action;
+
+          if (isNewAction) {
+            const name = aliases.canonicalActionName(act.name);
+            action = await prisma.action.create({
+              data: {
+                name,
+                deviceId: device.id,
+                categoryId: categorize(name)?.id ?? null,
+              },
+            });
+            storedActions.push(action);
+            summary.newActions++;
+          }
+          seenActionIds.add(action.id);
+          summary.actions++;
 
           // Get price
-          await page.select('#action', act.value);
-          await page.waitForFunction(() =>
-            document.querySelector('#final-price')?.textContent.trim()
-          );
+          const priceText = await source.getPriceText(act);
+          const price = parsePrice(priceText);
+
+          // Save price only when it changed and looks plausible
+          const result = await recordPrice(action, price, {
+            isNewAction,
+            runId: run.id,
+            priceSource,
+            summary,
+            thresholds,
+          });
 
-          const priceText = await page.$eval('#final-price', (el) =>
-            el.textContent.trim()
+          const change = relativeChange(
+            result.latest?.priceCents,
+            price.priceCents
           );
-          const price = parseInt(priceText.replace(/\D/g, '')) || null;
+          if (change !== null) shiftChanges.push(change);
+          if (result.status === 'accepted') {
+            accepted.push({
+              action,
+              price,
+              latest: result.latest,
+              type: result.type,
+              change,
+              dateCollected: new Date(),
+            });
+          }
 
-          // Save price
-          await prisma.price.create({
-            data: { actionId: action.id, price, dateCollected: new Date() },
-          });
+          const note = {
+            unchanged: ' (unchanged)',
+            quarantined: ' (quarantined)',
+            accepted: '',
+          }[result.status];
+          console.log(
+            `💰 ${mfg.name} ${dev.name} ${act.name}: ${formatPrice(price)}${note}`
+          );
+        }
 
-          console.log(`💰 ${mfg.name} ${dev.name} ${act.name}: ${price}€`);
+        recordRemovedActions(storedActions, seenActionIds, summary);
+        summary.devices++;
+        if (!crawledManufacturers.has(mfg.name)) {
+          crawledManufacturers.add(mfg.name);
+          summary.manufacturers++;
         }
+        checkpoints.push({ manufacturer: mfg.name, device: dev.name });
+        await heartbeat(run.id);
 
         // Rate limiting - respectful crawling
-        await new Promise((resolve) => setTimeout(resolve, 1000));
+        if (source.delayMs > 0) {
+          await new Promise((resolve) => setTimeout(resolve, source.delayMs));
+        }
       }
+
+      // Whole manufacturer moved at once - more likely a site change than
+      // real prices, so its changed prices never go live
+      const shift = detectShift(shiftChanges, thresholds);
+      const shifted = shift
+        ? accepted.filter((entry) => entry.change !== null)
+        : [];
+      if (shifted.length > 0) {
+        console.warn(
+          `⚠️ ${mfg.name}: ${shift.detail} - quarantining ${shifted.length} new prices`
+        );
+        await quarantineShift(run.id, shifted, shift, priceSource, summary);
+      }
+      await publishPrices(
+        accepted.filter((entry) => !shifted.includes(entry)),
+        priceSource,
+        summary
+      );
+      await saveProgress(run.id, summary, checkpoints);
+      committed = null;
     }
+
+    if (deviceFilter && summary.devices === 0) {
+      throw new Error(`Device not found: ${deviceFilter}`);
+    }
+  } catch (error) {
+    status = signal?.aborted ? 'cancelled' : 'failed';
+    errorMessage = error.message;
+    console.error('❌ Crawl failed:', error);
+    throw error;
   } finally {
-    await browser.close();
+    await source?.close();
+
+    // A resume replays the unfinished manufacturer, so drop its counts and
+    // changes - except new devices and actions, which are stored already and
+    // won't be new the second time
+    if (committed) {
+      Object.assign(summary, committed, {
+        newDevices: summary.newDevices,
+        newActions: summary.newActions,
+        changes: summary.changes.filter((c) => c.type === 'new-device'),
+      });
+    }
+
+    // Persist remaining changes and final status
+    const counts = runCounts(summary);
+    await saveProgress(run.id, summary);
+    await prisma.crawlRun.update({
+      where: { id: run.id },
+      data: { status, error: errorMessage, finishedAt: new Date() },
+    });
+
     await prisma.$disconnect();
-    console.log('✅ Crawl complete!');
+    console.log(`✅ Crawl ${status}!`, counts);
   }
+
+  return { id: run.id, status, ...runCounts(summary) };
 }
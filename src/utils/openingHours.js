@@ -0,0 +1,112 @@
+// src/utils/openingHours.js - Opening hours helpers shared by footer and API server
+/**
+ * @file Opening hours utilities
+ * @description Pure helpers (no DOM, no state) so server.js can compute
+ * appointment slots from the same opening hours the footer shows
+ */
+
+// Index matches Date.getDay()
+export const DAY_NAMES = [
+  'Sonntag',
+  'Montag',
+  'Dienstag',
+  'Mittwoch',
+  'Donnerstag',
+  'Freitag',
+  'Samstag',
+];
+
+export const DEFAULT_OPENING_HOURS = [
+  { day: 'Montag', open: '10:00', close: '19:00' },
+  { day: 'Dienstag', open: '10:00', close: '19:00' },
+  { day: 'Mittwoch', open: '10:00', close: '19:00' },
+  { day: 'Donnerstag', open: '10:00', close: '19:00' },
+  { day: 'Freitag', open: '10:00', close: '19:00' },
+  { day: 'Samstag', open: '10:00', close: '18:00' },
+  { day: 'Sonntag', closed: true },
+];
+
+/**
+ * Opening hours from the CMS footer story (`opening_hours` blocks)
+ * @param {Array} entries - Storyblok opening_hour blocks
+ * @returns {Array} [{ day, open, close, closed }] - empty when none are configured
+ */
+export const parseOpeningHours = (entries = []) =>
+  (entries || [])
+    .filter((hour) => hour.component === 'opening_hour' && hour.day)
+    .map((hour) => ({
+      day: hour.day,
+      open: hour.open || '10:00',
+      close: hour.close || '19:00',
+      closed: hour.closed || false,
+    }));
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time
+ * @returns {number}
+ */
+export const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Convert minutes since midnight to "HH:MM"
+ * @param {number} minutes
+ * @returns {string}
+ */
+export const fromMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Get the opening hours entry for a date
+ * @param {Array} openingHours - [{ day, open, close, closed }]
+ * @param {Date} date
+ * @returns {Object|null}
+ */
+export function getHoursForDate(openingHours, date = new Date()) {
+  if (!Array.isArray(openingHours)) return null;
+
+  const day = DAY_NAMES[date.getDay()];
+  return openingHours.find((hours) => hours.day === day) || null;
+}
+
+/**
+ * Check if the shop is open at a point in time
+ * @param {Array} openingHours
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isOpenAt(openingHours, date = new Date()) {
+  const hours = getHoursForDate(openingHours, date);
+  if (!hours || hours.closed || !hours.open || !hours.close) return false;
+
+  const time = date.getHours() * 60 + date.getMinutes();
+  return time >= toMinutes(hours.open) && time < toMinutes(hours.close);
+}
+
+/**
+ * Split a day's opening hours into fixed-length slots
+ * @param {Array} openingHours
+ * @param {Date} date
+ * @param {number} slotMinutes
+ * @returns {Array<string>} Slot start times as "HH:MM"
+ */
+export function getTimeSlots(openingHours, date, slotMinutes = 30) {
+  const hours = getHoursForDate(openingHours, date);
+  if (!hours || hours.closed || !hours.open || !hours.close) return [];
+
+  const slots = [];
+  const close = toMinutes(hours.close);
+
+  for (
+    let start = toMinutes(hours.open);
+    start + slotMinutes <= close;
+    start += slotMinutes
+  ) {
+    slots.push(fromMinutes(start));
+  }
+
+  return slots;
+}
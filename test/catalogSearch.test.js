@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSearchIndex,
+  scoreToken,
+  tokenize,
+} from '../src/services/catalogSearch.js';
+
+describe('tokenize', () => {
+  it('splits letters from digits and folds accents', () => {
+    assert.deepEqual(tokenize('iPhone 13 Pro'), ['iphone', '13', 'pro']);
+    assert.deepEqual(tokenize('ip13'), ['ip', '13']);
+    assert.deepEqual(tokenize('Rückkamera Größe'), ['ruckkamera', 'grosse']);
+    assert.deepEqual(tokenize(null), []);
+  });
+});
+
+describe('scoreToken', () => {
+  it('ranks exact over prefix over typo matches', () => {
+    assert.equal(scoreToken('iphone', 'iphone'), 1);
+    assert.equal(scoreToken('iph', 'iphone'), 0.8);
+    assert.equal(scoreToken('iphnoe', 'iphone'), 0.6);
+    assert.equal(scoreToken('galaxy', 'iphone'), 0);
+  });
+
+  it('matches numbers only exactly', () => {
+    assert.equal(scoreToken('13', '13'), 1);
+    assert.equal(scoreToken('1', '13'), 0);
+    assert.equal(scoreToken('12', '13'), 0);
+  });
+});
+
+describe('createSearchIndex', () => {
+  const index = createSearchIndex([
+    { type: 'device', id: 1, text: 'Apple iPhone 13 Pro' },
+    { type: 'device', id: 2, text: 'Apple iPhone 13' },
+    { type: 'device', id: 3, text: 'Apple iPhone 12' },
+    { type: 'action', id: 4, text: 'Display Reparatur' },
+  ]);
+
+  it('never returns a different model number', () => {
+    const ids = index.search('iphone 13').map((result) => result.id);
+    assert.deepEqual(ids, [2, 1]);
+  });
+
+  it('tolerates typos', () => {
+    assert.equal(index.search('iphnoe 12')[0].id, 3);
+    assert.equal(index.search('dispaly')[0].id, 4);
+  });
+
+  it('filters by type and limits results', () => {
+    assert.deepEqual(index.search('apple', { types: ['action'] }), []);
+    assert.equal(index.search('apple', { limit: 1 }).length, 1);
+    assert.deepEqual(index.search('   '), []);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate } from 'node:timers/promises';
+import {
+  createCrawlScheduler,
+  cronMatches,
+  nextCronDate,
+  parseCron,
+} from '../src/services/crawlScheduler.js';
+
+describe('parseCron', () => {
+  it('expands ranges, steps and lists', () => {
+    const schedule = parseCron('*/15 1-3 1,15 * 1-5');
+    assert.deepEqual([...schedule.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...schedule.hour], [1, 2, 3]);
+    assert.deepEqual([...schedule.dayOfMonth], [1, 15]);
+    assert.equal(schedule.month.size, 12);
+    assert.deepEqual([...schedule.dayOfWeek], [1, 2, 3, 4, 5]);
+  });
+
+  it('reads aliases and 7 as Sunday', () => {
+    assert.deepEqual([...parseCron('@daily').hour], [0]);
+    assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+  });
+
+  it('rejects malformed expressions', () => {
+    for (const expression of [
+      '',
+      '0 3 * *',
+      '60 * * * *',
+      '5-1 * * * *',
+      '*/0 * * * *',
+      'x * * * *',
+    ]) {
+      assert.throws(() => parseCron(expression), /cron/i, expression);
+    }
+  });
+});
+
+describe('cronMatches', () => {
+  it('ORs restricted day-of-month and day-of-week', () => {
+    const schedule = parseCron('0 3 1 * 1');
+    // 2026-01-05 is a Monday, 2026-02-01 a Sunday
+    assert.equal(cronMatches(schedule, new Date(2026, 0, 5, 3, 0)), true);
+    assert.equal(cronMatches(schedule, new Date(2026, 1, 1, 3, 0)), true);
+    assert.equal(cronMatches(schedule, new Date(2026, 0, 6, 3, 0)), false);
+  });
+});
+
+describe('nextCronDate', () => {
+  it('returns the next matching minute strictly after `from`', () => {
+    const schedule = parseCron('0 3 * * *');
+    assert.deepEqual(
+      nextCronDate(schedule, new Date(2026, 0, 5, 3, 0)),
+      new Date(2026, 0, 6, 3, 0)
+    );
+  });
+
+  it('returns null for a schedule that never fires', () => {
+    assert.equal(nextCronDate(parseCron('0 0 31 2 *')), null);
+  });
+});
+
+describe('createCrawlScheduler', () => {
+  it('runs one crawl at a time', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    let finish;
+    const scheduler = createCrawlScheduler({
+      crawl: () => new Promise((resolve) => (finish = resolve)),
+    });
+
+    assert.equal(scheduler.trigger().started, true);
+    assert.deepEqual(scheduler.trigger(), {
+      started: false,
+      reason: 'Crawl already running',
+    });
+
+    finish({ id: 1, status: 'completed' });
+    await setImmediate();
+    assert.equal(scheduler.getStatus().lastResult.id, 1);
+    assert.equal(scheduler.trigger().started, true);
+    finish({ id: 2, status: 'completed' });
+    await scheduler.stop();
+  });
+});
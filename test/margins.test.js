@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeMargin,
+  marginSettings,
+  partsCostCents,
+} from '../src/services/margins.js';
+
+const settings = marginSettings({});
+const parts = [
+  { quantity: 1, uniqueDevice: { einkaufsPreis: 45.5 } },
+  { quantity: 2, uniqueDevice: { einkaufsPreis: 2.25 } },
+];
+
+describe('marginSettings', () => {
+  it('reads rates from the environment with defaults', () => {
+    assert.deepEqual(settings, {
+      labourRateCents: 6000,
+      warnPercent: 15,
+      vatRate: 19,
+    });
+    assert.deepEqual(
+      marginSettings({
+        LABOUR_RATE_PER_HOUR: '72.5',
+        VAT_RATE: '7',
+        MARGIN_WARN_PERCENT: '-1',
+      }),
+      { labourRateCents: 7250, warnPercent: 15, vatRate: 7 }
+    );
+  });
+});
+
+describe('partsCostCents', () => {
+  it('sums purchase prices times quantity', () => {
+    assert.equal(partsCostCents(parts), 5000);
+    assert.equal(partsCostCents([]), 0);
+  });
+});
+
+describe('computeMargin', () => {
+  it('compares the net price with parts and labour cost', () => {
+    // 119 € gross = 100 € net; 50 € parts + 30 min at 60 €/h
+    assert.deepEqual(computeMargin(11900, parts, 30, settings), {
+      partsCostCents: 5000,
+      labourCostCents: 3000,
+      costCents: 8000,
+      netPriceCents: 10000,
+      marginCents: 2000,
+      marginPercent: 20,
+      status: 'ok',
+    });
+  });
+
+  it('flags low margins and losses', () => {
+    assert.equal(computeMargin(10710, parts, 30, settings).status, 'low');
+    assert.equal(computeMargin(8330, parts, 30, settings).status, 'loss');
+  });
+
+  it('leaves unpriced actions without a margin', () => {
+    const margin = computeMargin(null, parts, null, settings);
+    assert.equal(margin.status, 'unpriced');
+    assert.equal(margin.marginCents, null);
+    assert.equal(margin.costCents, 5000);
+  });
+});
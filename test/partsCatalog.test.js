@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  eanVariants,
+  isValidEan13,
+  parseEan,
+  parsePartQuery,
+} from '../src/services/partsCatalog.js';
+
+describe('isValidEan13', () => {
+  it('checks length, digits and the check digit', () => {
+    assert.equal(isValidEan13('4006381333931'), true);
+    assert.equal(isValidEan13('4006381333932'), false);
+    assert.equal(isValidEan13('400638133393'), false);
+    assert.equal(isValidEan13('400638133393a'), false);
+  });
+});
+
+describe('parseEan', () => {
+  it('drops separators and pads UPC-A codes', () => {
+    assert.deepEqual(parseEan(' 4006381-333931 '), { ean: '4006381333931' });
+    assert.deepEqual(parseEan('036000291452'), { ean: '0036000291452' });
+  });
+
+  it('explains invalid codes', () => {
+    assert.deepEqual(parseEan('12345'), { error: 'EAN must have 13 digits' });
+    assert.deepEqual(parseEan('4006381333932'), {
+      error: 'Invalid EAN-13 check digit',
+    });
+  });
+});
+
+describe('eanVariants', () => {
+  it('adds the code without leading zeros', () => {
+    assert.deepEqual(eanVariants('0036000291452'), [
+      '0036000291452',
+      '36000291452',
+    ]);
+    assert.deepEqual(eanVariants('4006381333931'), ['4006381333931']);
+  });
+});
+
+describe('parsePartQuery', () => {
+  it('defaults to the first page sorted by name', () => {
+    assert.deepEqual(parsePartQuery(), {
+      where: {},
+      orderBy: [{ artikelBezeichnung: 'asc' }, { id: 'asc' }],
+      skip: 0,
+      take: 25,
+      page: 1,
+      pageSize: 25,
+    });
+  });
+
+  it('requires every word and caps the page size', () => {
+    const query = parsePartQuery({
+      q: 'display  13',
+      minPrice: '10',
+      hasEan: 'true',
+      sort: 'manufacturer',
+      order: 'desc',
+      page: '3',
+      pageSize: '500',
+    });
+    assert.equal(query.where.AND.length, 4);
+    assert.deepEqual(query.where.AND[2], { nettPreis: { gte: 10 } });
+    assert.deepEqual(query.orderBy[0], {
+      uniqueManufacturer: { name: 'desc' },
+    });
+    assert.equal(query.take, 100);
+    assert.equal(query.skip, 200);
+  });
+
+  it('rejects unknown sort fields and bad prices', () => {
+    assert.match(parsePartQuery({ sort: 'id' }).error, /sort must be one of/);
+    assert.equal(
+      parsePartQuery({ order: 'up' }).error,
+      'order must be asc or desc'
+    );
+    assert.equal(parsePartQuery({ maxPrice: 'x' }).error, 'Invalid maxPrice');
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  importParts,
+  mapColumns,
+  parseCsv,
+  parseGermanNumber,
+  readSheet,
+  validateRow,
+} from '../src/services/partsImport.js';
+
+describe('parseGermanNumber', () => {
+  it('reads German decimals and thousands separators', () => {
+    assert.equal(parseGermanNumber('1.234,56'), 1234.56);
+    assert.equal(parseGermanNumber('12,5'), 12.5);
+    assert.equal(parseGermanNumber('€ 4,-'), 4);
+    assert.equal(parseGermanNumber('1.234'), 1234);
+    assert.equal(parseGermanNumber('12.345.678'), 12345678);
+  });
+
+  it('reads a single dot as a decimal point otherwise', () => {
+    assert.equal(parseGermanNumber('3.99'), 3.99);
+    assert.equal(parseGermanNumber('0.250'), 0.25);
+  });
+
+  it('passes numbers through and flags garbage', () => {
+    assert.equal(parseGermanNumber(7), 7);
+    assert.equal(parseGermanNumber(''), null);
+    assert.ok(Number.isNaN(parseGermanNumber('abc')));
+  });
+});
+
+describe('parseCsv', () => {
+  it('detects the delimiter and handles quotes', () => {
+    assert.deepEqual(parseCsv('﻿a;b;c\r\n1;"x; ""y""";3\n\n4;5;6'), [
+      ['a', 'b', 'c'],
+      ['1', 'x; "y"', '3'],
+      ['4', '5', '6'],
+    ]);
+    assert.deepEqual(parseCsv('a,b\n1,2'), [
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+});
+
+describe('readSheet', () => {
+  it('falls back to Windows-1252 for non-UTF-8 files', async () => {
+    const rows = await readSheet(
+      Buffer.from('Bezeichnung\nGehäuse\n', 'latin1'),
+      'csv'
+    );
+    assert.deepEqual(rows, [['Bezeichnung'], ['Gehäuse']]);
+  });
+});
+
+describe('mapColumns', () => {
+  it('matches German headers and explicit mappings', () => {
+    const { columns, missing, unknown } = mapColumns(
+      ['Art.-Nr.', 'Bezeichnung', 'Einkaufspreis (€)', 'VK netto', 'Lager'],
+      { 'Art.-Nr.': 'artikelNummer' }
+    );
+    assert.deepEqual(columns, [
+      'artikelNummer',
+      'artikelBezeichnung',
+      'einkaufsPreis',
+      'nettPreis',
+      null,
+    ]);
+    assert.deepEqual(missing, []);
+    assert.deepEqual(unknown, ['Lager']);
+  });
+
+  it('rejects unknown target fields', () => {
+    assert.match(
+      mapColumns([], { Lager: 'stock' }).error,
+      /Unknown field "stock"/
+    );
+  });
+});
+
+describe('validateRow', () => {
+  const record = {
+    artikelNummer: ' A1 ',
+    artikelBezeichnung: 'Display',
+    einkaufsPreis: '12,50',
+    nettPreis: '29,90',
+    ean: '36000291452',
+  };
+
+  it('cleans a valid row and restores lost EAN zeros', () => {
+    const { data, errors } = validateRow(record, 'Apple');
+    assert.deepEqual(errors, []);
+    assert.equal(data.artikelNummer, 'A1');
+    assert.equal(data.einkaufsPreis, 12.5);
+    assert.equal(data.ean, '0036000291452');
+    assert.equal(data.manufacturer, 'Apple');
+  });
+
+  it('collects every problem of a row', () => {
+    const { errors } = validateRow({ ...record, nettPreis: 'x', ean: '125' });
+    assert.deepEqual(errors, [
+      'Hersteller is missing',
+      'nettPreis "x" is not a valid amount',
+      'EAN "125": Invalid EAN-13 check digit',
+    ]);
+  });
+
+  it('rejects weights with an ambiguous dot', () => {
+    assert.deepEqual(
+      validateRow({ ...record, gewicht: '1.250' }, 'Apple').errors,
+      ['gewicht "1.250" is ambiguous - write e.g. 1250 or 1,25']
+    );
+    assert.equal(
+      validateRow({ ...record, gewicht: '0.250' }, 'Apple').data.gewicht,
+      0.25
+    );
+  });
+});
+
+describe('importParts', () => {
+  // Only what a dry run reads
+  const db = {
+    uniqueManufacturer: { findMany: async () => [{ id: 1, name: 'Apple' }] },
+    uniqueDevice: { findMany: async () => [{ artikelNummer: 'A1' }] },
+  };
+  const rows = [
+    [
+      'Artikelnummer',
+      'Artikelbezeichnung',
+      'Einkaufspreis',
+      'Nettopreis',
+      'Hersteller',
+    ],
+    ['A1', 'Display', '12,50', '29,90', 'Apple'],
+    ['A2', 'Akku', '8', 'x', 'Apple'],
+    ['A1', 'Display', '1', '2', 'Apple'],
+    ['A3', 'Kamera', '3', '7', ''],
+  ];
+
+  it('counts created, updated and rejected rows in a dry run', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const result = await importParts(db, rows, {
+      dryRun: true,
+      manufacturer: 'Samsung',
+    });
+    assert.equal(result.created, 1);
+    assert.equal(result.updated, 1);
+    assert.equal(result.rejected, 2);
+    assert.deepEqual(result.newManufacturers, ['Samsung']);
+    assert.deepEqual(
+      result.errors.map(({ line }) => line),
+      [3, 4]
+    );
+  });
+
+  it('refuses sheets without the required columns', async () => {
+    assert.deepEqual(await importParts(db, [['Artikelnummer']]), {
+      error: 'Missing columns: artikelBezeichnung, einkaufsPreis, nettPreis',
+    });
+    assert.deepEqual(
+      await importParts(
+        db,
+        rows.map((row) => row.slice(0, 4))
+      ),
+      {
+        error: 'No Hersteller column - pass a default manufacturer',
+      }
+    );
+  });
+});
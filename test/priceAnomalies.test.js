@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  anomalyThresholds,
+  detectAnomaly,
+  detectShift,
+  relativeChange,
+} from '../src/services/priceAnomalies.js';
+import { parsePrice } from '../src/services/priceParser.js';
+
+const thresholds = anomalyThresholds({});
+const live = { priceCents: 10000 };
+
+describe('anomalyThresholds', () => {
+  it('falls back to defaults for missing or invalid values', () => {
+    assert.deepEqual(thresholds, {
+      jump: 0.5,
+      shift: 0.15,
+      shiftMinSamples: 10,
+    });
+    assert.deepEqual(
+      anomalyThresholds({
+        PRICE_JUMP_THRESHOLD: '0.3',
+        PRICE_SHIFT_THRESHOLD: '-1',
+      }),
+      { jump: 0.3, shift: 0.15, shiftMinSamples: 10 }
+    );
+  });
+});
+
+describe('relativeChange', () => {
+  it('is null without an amount on either side', () => {
+    assert.equal(relativeChange(10000, 12500), 0.25);
+    assert.equal(relativeChange(null, 12500), null);
+    assert.equal(relativeChange(10000, null), null);
+  });
+});
+
+describe('detectAnomaly', () => {
+  it('flags zero and unreadable prices', () => {
+    assert.equal(
+      detectAnomaly(live, parsePrice('0 €'), thresholds).reason,
+      'zero'
+    );
+    assert.equal(
+      detectAnomaly(live, parsePrice(''), thresholds).reason,
+      'missing'
+    );
+    assert.equal(
+      detectAnomaly(live, parsePrice('n/a'), thresholds).reason,
+      'missing'
+    );
+  });
+
+  it('accepts "on request" as a real answer', () => {
+    assert.equal(
+      detectAnomaly(live, parsePrice('Preis auf Anfrage'), thresholds),
+      null
+    );
+  });
+
+  it('flags jumps beyond the threshold against the live price', () => {
+    assert.deepEqual(detectAnomaly(live, parsePrice('160 €'), thresholds), {
+      reason: 'jump',
+      detail: '+60 % against live price',
+    });
+    assert.equal(detectAnomaly(live, parsePrice('140 €'), thresholds), null);
+    assert.equal(detectAnomaly(null, parsePrice('999 €'), thresholds), null);
+  });
+});
+
+describe('detectShift', () => {
+  it('needs enough samples', () => {
+    assert.equal(detectShift(Array(9).fill(0.3), thresholds), null);
+  });
+
+  it('flags a median move beyond the threshold', () => {
+    const shift = detectShift(
+      [...Array(6).fill(-0.2), ...Array(4).fill(0)],
+      thresholds
+    );
+    assert.equal(shift.median, -0.2);
+    assert.equal(shift.samples, 10);
+    assert.equal(
+      detectShift([...Array(4).fill(0.3), ...Array(6).fill(0)], thresholds),
+      null
+    );
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatPrice,
+  parseAmount,
+  parsePrice,
+  samePrice,
+} from '../src/services/priceParser.js';
+
+// Only the stored fields - priceText is the input trimmed
+const parsed = (text) => {
+  const { priceCents, maxPriceCents, priceType } = parsePrice(text);
+  return [priceCents, maxPriceCents, priceType];
+};
+
+describe('parseAmount', () => {
+  it('reads German and plain amounts', () => {
+    assert.equal(parseAmount('1.299,00'), 129900);
+    assert.equal(parseAmount('49,-'), 4900);
+    assert.equal(parseAmount('49,9'), 4990);
+    assert.equal(parseAmount('49.90'), 4990);
+    assert.equal(parseAmount('1.299'), 129900);
+    assert.equal(parseAmount('x'), null);
+  });
+});
+
+describe('parsePrice', () => {
+  it('parses exact prices', () => {
+    assert.deepEqual(parsed('1.299,00 €'), [129900, null, 'exact']);
+    assert.deepEqual(parsed('49.90 EUR'), [4990, null, 'exact']);
+    assert.deepEqual(parsed('79'), [7900, null, 'exact']);
+  });
+
+  it('parses "from" prices only for a standalone ab/from/min', () => {
+    assert.deepEqual(parsed('ab 49 €'), [4900, null, 'from']);
+    assert.deepEqual(parsed('ab49€'), [4900, null, 'from']);
+    assert.deepEqual(parsed('min. 30€'), [3000, null, 'from']);
+    assert.deepEqual(parsed('ab sofort 59 €'), [5900, null, 'exact']);
+    assert.deepEqual(parsed('abholbereit 59 €'), [5900, null, 'exact']);
+  });
+
+  it('parses ranges', () => {
+    assert.deepEqual(parsed('49 - 79 €'), [4900, 7900, 'range']);
+    assert.deepEqual(parsed('49 € bis 79 €'), [4900, 7900, 'range']);
+    assert.deepEqual(parsed('€ 49 - 79'), [4900, 7900, 'range']);
+  });
+
+  it('ignores model numbers next to a priced amount', () => {
+    assert.deepEqual(parsed('iPhone 13: 99 €'), [9900, null, 'exact']);
+    assert.deepEqual(parsed('iPhone 12 Pro 49 – 79 €'), [4900, 7900, 'range']);
+    assert.deepEqual(parsed('Display 6,1 Zoll ab 129 €'), [
+      12900,
+      null,
+      'from',
+    ]);
+  });
+
+  it('treats texts without an amount as on request', () => {
+    assert.deepEqual(parsed('Preis auf Anfrage'), [null, null, 'on-request']);
+    assert.deepEqual(parsed('xyz'), [null, null, 'on-request']);
+    assert.equal(parsePrice('  ').priceText, null);
+  });
+});
+
+describe('samePrice', () => {
+  it('compares stored fields, not the text', () => {
+    assert.equal(samePrice(parsePrice('49 €'), parsePrice('49,00 EUR')), true);
+    assert.equal(samePrice(parsePrice('49 €'), parsePrice('ab 49 €')), false);
+  });
+});
+
+describe('formatPrice', () => {
+  // Intl separates amount and currency with a no-break space
+  const format = (price) => formatPrice(price).replace(/\s/g, ' ');
+
+  it('formats each price type', () => {
+    assert.equal(format({ priceCents: 129900, priceType: 'exact' }), '1.299 €');
+    assert.equal(format({ priceCents: 4990, priceType: 'from' }), 'ab 49,90 €');
+    assert.equal(
+      format({ priceCents: 4900, maxPriceCents: 7900, priceType: 'range' }),
+      '49 € – 79 €'
+    );
+    assert.equal(
+      format({ priceCents: null, priceType: 'on-request' }),
+      'Preis auf Anfrage'
+    );
+  });
+});
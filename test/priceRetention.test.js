@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { planRetention } from '../src/services/priceRetention.js';
+
+const row = (id, priceCents, dateCollected, priceType = 'exact') => ({
+  id,
+  priceCents,
+  maxPriceCents: null,
+  priceType,
+  dateCollected,
+});
+
+describe('planRetention', () => {
+  const rows = [
+    row(1, 4900, new Date(2026, 0, 5, 8)),
+    row(2, 4900, new Date(2026, 0, 5, 12)),
+    row(3, 4900, new Date(2026, 0, 6, 8)),
+    row(4, 5900, new Date(2026, 0, 6, 9)),
+    row(5, 5900, new Date(2026, 0, 6, 10)),
+    row(6, 5900, new Date(2026, 0, 6, 11)),
+    row(7, 5900, new Date(2026, 0, 6, 12), 'from'),
+  ];
+
+  it('keeps changes and the first row per day', () => {
+    assert.deepEqual(planRetention(rows, 'day'), [2, 5, 6]);
+  });
+
+  it('keeps the first row per week', () => {
+    assert.deepEqual(planRetention(rows, 'week'), [2, 3, 5, 6]);
+  });
+
+  it('never deletes protected rows', () => {
+    assert.deepEqual(planRetention(rows, 'day', new Set([5])), [2, 6]);
+  });
+});
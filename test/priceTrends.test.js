@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  bucketRanges,
+  bucketStart,
+  buildPriceTrends,
+  rankMovers,
+} from '../src/services/priceTrends.js';
+
+// Server-local dates, like the buckets - 2026-01-05 is a Monday
+const day = (month, date) => new Date(2026, month - 1, date);
+
+describe('bucketStart', () => {
+  it('snaps to the day, Monday or first of the month', () => {
+    const date = new Date(2026, 0, 8, 15, 30);
+    assert.deepEqual(bucketStart(date, 'day'), day(1, 8));
+    assert.deepEqual(bucketStart(date, 'week'), day(1, 5));
+    assert.deepEqual(bucketStart(date, 'month'), day(1, 1));
+  });
+});
+
+describe('bucketRanges', () => {
+  it('covers [from, to) with whole buckets', () => {
+    const ranges = bucketRanges(day(1, 7), day(1, 19), 'week');
+    assert.deepEqual(ranges, [
+      { start: day(1, 5), end: day(1, 12) },
+      { start: day(1, 12), end: day(1, 19) },
+    ]);
+  });
+});
+
+describe('buildPriceTrends', () => {
+  const rows = [
+    { actionId: 1, price: 120, dateCollected: day(1, 8) },
+    { actionId: 1, price: 100, dateCollected: day(1, 1) },
+    { actionId: 1, price: 120, dateCollected: day(1, 14) },
+    { actionId: 2, price: 50, dateCollected: day(1, 13) },
+  ];
+  const { series, change } = buildPriceTrends(rows, {
+    interval: 'week',
+    from: day(1, 5),
+    to: day(1, 19),
+  });
+
+  it('carries prices forward and counts only real changes', () => {
+    assert.deepEqual(
+      series.map(({ period, min, max, avg, actions, changes }) => ({
+        period,
+        min,
+        max,
+        avg,
+        actions,
+        changes,
+      })),
+      [
+        {
+          period: '2026-01-05',
+          min: 100,
+          max: 120,
+          avg: 120,
+          actions: 1,
+          changes: 1,
+        },
+        {
+          period: '2026-01-12',
+          min: 50,
+          max: 120,
+          avg: 85,
+          actions: 2,
+          changes: 1,
+        },
+      ]
+    );
+  });
+
+  it('compares only actions priced at both ends of the period', () => {
+    assert.deepEqual(change, {
+      actions: 1,
+      startAvg: 100,
+      endAvg: 120,
+      percent: 20,
+    });
+  });
+
+  it('reports no average without prices', () => {
+    const empty = buildPriceTrends([], {
+      interval: 'day',
+      from: day(1, 5),
+      to: day(1, 6),
+    });
+    assert.equal(empty.series[0].avg, null);
+    assert.equal(empty.change.percent, null);
+  });
+});
+
+describe('rankMovers', () => {
+  it('sorts by relative change and skips unpriced sides', () => {
+    const movers = rankMovers(
+      [
+        { id: 1, oldPriceCents: 10000, newPriceCents: 11000 },
+        { id: 2, oldPriceCents: 2000, newPriceCents: 1000 },
+        { id: 3, oldPriceCents: null, newPriceCents: 5000 },
+      ],
+      5
+    );
+    assert.deepEqual(
+      movers.map(({ id, differenceCents, percent }) => ({
+        id,
+        differenceCents,
+        percent,
+      })),
+      [
+        { id: 2, differenceCents: -1000, percent: -50 },
+        { id: 1, differenceCents: 1000, percent: 10 },
+      ]
+    );
+  });
+});
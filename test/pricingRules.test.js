@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyRule,
+  applyRuleToCents,
+  compareRules,
+  createPricer,
+  diffPricing,
+  isRuleLive,
+  roundToNine,
+} from '../src/services/pricingRules.js';
+
+const rule = (fields) => ({
+  id: 1,
+  active: true,
+  priority: 0,
+  manufacturerId: null,
+  categoryId: null,
+  deviceId: null,
+  validFrom: null,
+  validUntil: null,
+  markupPercent: 0,
+  markupCents: 0,
+  roundToNine: false,
+  floorCents: null,
+  ceilingCents: null,
+  ...fields,
+});
+const exact = (priceCents) => ({
+  priceCents,
+  maxPriceCents: null,
+  priceType: 'exact',
+});
+
+describe('roundToNine', () => {
+  it('rounds up to the next whole euro ending in 9', () => {
+    assert.equal(roundToNine(12345), 12900);
+    assert.equal(roundToNine(12900), 12900);
+    assert.equal(roundToNine(12901), 13900);
+    assert.equal(roundToNine(13000), 13900);
+  });
+});
+
+describe('applyRuleToCents', () => {
+  it('applies markups, rounding, then floor and ceiling', () => {
+    assert.equal(
+      applyRuleToCents(10000, rule({ markupPercent: 10, markupCents: 500 })),
+      11500
+    );
+    assert.equal(
+      applyRuleToCents(10000, rule({ markupPercent: 10, roundToNine: true })),
+      11900
+    );
+    assert.equal(applyRuleToCents(1000, rule({ floorCents: 2900 })), 2900);
+    assert.equal(applyRuleToCents(50000, rule({ ceilingCents: 39900 })), 39900);
+  });
+});
+
+describe('applyRule', () => {
+  it('applies to both ends of a range and leaves no-amount rows alone', () => {
+    const markup = rule({ markupPercent: 50 });
+    assert.deepEqual(
+      applyRule(
+        { priceCents: 4000, maxPriceCents: 6000, priceType: 'range' },
+        markup
+      ),
+      { priceCents: 6000, maxPriceCents: 9000, priceType: 'range' }
+    );
+    const onRequest = {
+      priceCents: null,
+      maxPriceCents: null,
+      priceType: 'on-request',
+    };
+    assert.equal(applyRule(onRequest, markup), onRequest);
+  });
+});
+
+describe('compareRules', () => {
+  it('orders by priority, specificity, campaign, then newest', () => {
+    const rules = [
+      rule({ id: 1 }),
+      rule({ id: 2, manufacturerId: 1 }),
+      rule({ id: 3, deviceId: 5 }),
+      rule({ id: 4, deviceId: 5, validUntil: new Date(2030, 0, 1) }),
+      rule({ id: 5, priority: 1 }),
+      rule({ id: 6 }),
+    ];
+    assert.deepEqual(
+      [...rules].sort(compareRules).map((r) => r.id),
+      [5, 4, 3, 2, 6, 1]
+    );
+  });
+});
+
+describe('isRuleLive', () => {
+  it('respects active and the validity window (validUntil exclusive)', () => {
+    const at = new Date(2026, 5, 1);
+    assert.equal(isRuleLive(rule({}), at), true);
+    assert.equal(isRuleLive(rule({ active: false }), at), false);
+    assert.equal(
+      isRuleLive(rule({ validFrom: new Date(2026, 5, 2) }), at),
+      false
+    );
+    assert.equal(isRuleLive(rule({ validUntil: at }), at), false);
+  });
+});
+
+describe('createPricer', () => {
+  const pricer = createPricer([
+    rule({ id: 1, markupPercent: 10 }),
+    rule({ id: 2, manufacturerId: 1, markupPercent: 20 }),
+    rule({ id: 3, deviceId: 9, active: false }),
+  ]);
+
+  it('picks the first live rule covering the target', () => {
+    const target = { manufacturerId: 1, categoryId: 2, deviceId: 9 };
+    assert.equal(pricer.ruleFor(target, exact(1000)).id, 2);
+    assert.equal(
+      pricer.ruleFor({ ...target, manufacturerId: 3 }, exact(1000)).id,
+      1
+    );
+  });
+
+  it('has no rule for prices without an amount', () => {
+    assert.equal(pricer.ruleFor({}, exact(null)), null);
+    assert.equal(pricer.ruleFor({}, null), null);
+  });
+});
+
+describe('diffPricing', () => {
+  it('lists only actions whose shop price changes', () => {
+    const items = [
+      { actionId: 1, target: { manufacturerId: 1 }, current: exact(10000) },
+      { actionId: 2, target: { manufacturerId: 2 }, current: exact(10000) },
+    ];
+    const before = [rule({ id: 1, markupPercent: 10 })];
+    const after = [
+      ...before,
+      rule({ id: 2, manufacturerId: 1, markupPercent: 20 }),
+    ];
+
+    const diff = diffPricing(items, before, after);
+    assert.equal(diff.length, 1);
+    assert.equal(diff[0].actionId, 1);
+    assert.equal(diff[0].oldRuleId, 1);
+    assert.equal(diff[0].newRuleId, 2);
+    assert.equal(diff[0].differenceCents, 1000);
+  });
+});
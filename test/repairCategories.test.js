@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCategorizer } from '../src/services/repairCategories.js';
+
+const categories = [
+  { slug: 'display', keywords: 'display,bildschirm,screen', sortOrder: 1 },
+  {
+    slug: 'back-glass',
+    keywords: 'backcover,back cover,ruckseite',
+    sortOrder: 3,
+  },
+  { slug: 'camera', keywords: 'kamera,camera', sortOrder: 5 },
+  { slug: 'buttons', keywords: 'taste,face id', sortOrder: 7 },
+  { slug: 'speaker', keywords: 'horer', sortOrder: 6 },
+  { slug: 'other', keywords: '', sortOrder: 99 },
+];
+const categorize = (name) => createCategorizer(categories)(name)?.slug;
+
+describe('createCategorizer', () => {
+  it('matches keywords inside German compounds', () => {
+    assert.equal(categorize('Displaytausch'), 'display');
+    assert.equal(categorize('Rückkamera Reparatur'), 'camera');
+  });
+
+  it('matches multi-word keywords with or without spaces', () => {
+    assert.equal(categorize('Face ID Reparatur'), 'buttons');
+    assert.equal(categorize('Back-Cover Austausch'), 'back-glass');
+    assert.equal(categorize('Backcover'), 'back-glass');
+  });
+
+  it('prefers the longest keyword, then the lower sortOrder', () => {
+    assert.equal(categorize('Rückseite Kamera'), 'back-glass');
+    assert.equal(categorize('Hörer Taste'), 'speaker');
+  });
+
+  it('falls back to "other", or null without it', () => {
+    assert.equal(categorize('Diagnose'), 'other');
+    assert.equal(createCategorizer(categories.slice(0, 2))('Diagnose'), null);
+  });
+});